@@ -0,0 +1,271 @@
+const http = require('http');
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const QueueManager = require('./queue-manager');
+const { DEFAULT_API_PORT } = require('./config');
+const { t } = require('./i18n');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Engine events carrying a { key, params } message (see QueueManager.log)
+const MESSAGE_EVENTS = ['log-message', 'status-change', 'download-finished'];
+
+function generateToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, t('api.bodyTooLarge')));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (chunks.length === 0) return resolve({});
+            let body;
+            try {
+                body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            } catch (e) {
+                return reject(new HttpError(400, t('api.invalidJson')));
+            }
+            // Every endpoint takes an object; null, arrays and bare values are refused here
+            if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                return reject(new HttpError(400, t('api.bodyNotObject')));
+            }
+            resolve(body);
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+// Local HTTP + WebSocket API over a QueueManager, bound to 127.0.0.1 and protected by a token.
+// Requests authenticate with "Authorization: Bearer <token>" or "?token=<token>" (WebSocket).
+class ApiServer {
+    constructor(queueManager, { port = DEFAULT_API_PORT, token } = {}) {
+        this.queueManager = queueManager;
+        this.port = port;
+        this.token = token;
+        this.server = null;
+        this.wss = null;
+        this.forwarders = [];
+        this.lastStatus = null;
+        this.lastProgress = null;
+
+        this.routes = [
+            ['GET', /^\/api\/status$/, () => this.getStatus()],
+            ['GET', /^\/api\/queue$/, () => this.queueManager.queue],
+            ['POST', /^\/api\/queue$/, (params, body) => this.addUrls(body)],
+            ['POST', /^\/api\/queue\/reorder$/, (params, body) => this.reorder(body)],
+            ['PATCH', /^\/api\/queue\/([\w-]+)$/, ([id], body) => this.updateItem(id, body)],
+            ['DELETE', /^\/api\/queue\/([\w-]+)$/, ([id]) => this.removeItem(id)],
+            ['POST', /^\/api\/start$/, () => this.startQueue()],
+            ['POST', /^\/api\/stop$/, () => this.stopQueue()],
+            ['POST', /^\/api\/cancel$/, () => this.cancelQueue()]
+        ];
+    }
+
+    // --- Endpoints ---
+
+    getStatus() {
+        return {
+            ...this.queueManager.getStatus(),
+            message: this.lastStatus,
+            progress: this.lastProgress
+        };
+    }
+
+    // Body: { url } or { urls: [...] }, plus optional { format, splitChapters, priority, cookieProfile, start }.
+    // Invalid URLs are reported in "errors"; if none is valid the request fails with 400.
+    addUrls(body) {
+        const urls = Array.isArray(body.urls) ? body.urls : [body.url];
+        if (urls.length === 0 || urls.some(url => typeof url !== 'string' || !url.trim())) {
+            throw new HttpError(400, t('api.urlRequired'));
+        }
+
+        const options = { format: body.format, splitChapters: body.splitChapters, priority: body.priority, cookieProfile: body.cookieProfile };
+        const errors = [];
+        let added = 0;
+        for (const url of urls) {
+            const result = this.queueManager.addToQueue(url.trim(), options);
+            if (result.success) added++;
+            else errors.push({ url, error: result.error });
+        }
+        if (added === 0) throw new HttpError(400, errors.map(e => `${e.url}: ${e.error}`).join('; '));
+        if (body.start) this.queueManager.start();
+
+        return { added, errors, queue: this.queueManager.queue };
+    }
+
+    // Body: { title, format, splitChapters, cookieProfile, priority }; a running item only takes the priority
+    updateItem(id, body) {
+        const { title, format, splitChapters, cookieProfile, priority } = body;
+        if (!this.queueManager.updateItem(id, { title, format, splitChapters, cookieProfile, priority })) {
+            throw new HttpError(404, t('api.itemNotUpdated'));
+        }
+        return { item: this.queueManager.getItem(id) };
+    }
+
+    // Body: { id, index }
+    reorder(body) {
+        if (!this.queueManager.moveItem(body.id, body.index)) {
+            throw new HttpError(404, t('api.itemNotMoved'));
+        }
+        return { queue: this.queueManager.queue };
+    }
+
+    removeItem(id) {
+        if (!this.queueManager.cancelItem(id)) throw new HttpError(404, t('api.itemNotFound'));
+        return { success: true };
+    }
+
+    startQueue() {
+        // Paused items are resumed; start() is a no-op while the queue is already running
+        this.queueManager.resume();
+        return { success: true };
+    }
+
+    stopQueue() {
+        this.queueManager.pause();
+        return { success: true };
+    }
+
+    cancelQueue() {
+        this.queueManager.cancel();
+        return { success: true };
+    }
+
+    // --- Plumbing ---
+
+    isAuthorized(req, url) {
+        const header = req.headers.authorization || '';
+        const provided = header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token');
+        if (!provided || !this.token) return false;
+
+        const a = Buffer.from(provided);
+        const b = Buffer.from(this.token);
+        return a.length === b.length && crypto.timingSafeEqual(a, b);
+    }
+
+    // Rejects requests sent to another host name (DNS rebinding)
+    isLocalHost(req) {
+        const host = (req.headers.host || '').replace(/:\d+$/, '');
+        return ['127.0.0.1', 'localhost', '[::1]'].includes(host);
+    }
+
+    async handleRequest(req, res) {
+        // Browser extensions call from their own origin; the token is what protects the API
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            return res.end();
+        }
+
+        const url = new URL(req.url, 'http://127.0.0.1');
+        try {
+            if (!this.isLocalHost(req)) throw new HttpError(403, t('api.hostNotAllowed'));
+            if (!this.isAuthorized(req, url)) throw new HttpError(401, t('api.invalidToken'));
+
+            const route = this.routes.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+            if (!route) throw new HttpError(404, t('api.routeNotFound'));
+
+            const [, pattern, handler] = route;
+            const params = url.pathname.match(pattern).slice(1);
+            const body = ['POST', 'PATCH'].includes(req.method) ? await readJsonBody(req) : {};
+            sendJson(res, 200, await handler(params, body));
+        } catch (error) {
+            sendJson(res, error.status || 500, { error: error.message });
+        }
+    }
+
+    handleUpgrade(req, socket, head) {
+        const url = new URL(req.url, 'http://127.0.0.1');
+        if (url.pathname !== '/api/events' || !this.isLocalHost(req) || !this.isAuthorized(req, url)) {
+            socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+
+        this.wss.handleUpgrade(req, socket, head, ws => {
+            ws.send(JSON.stringify({ event: 'queue-update', data: this.queueManager.queue }));
+        });
+    }
+
+    // Same events the renderer receives, as { event, data } messages.
+    // Messages also carry the text in the app's language: { key, params, message }
+    broadcast(event, data) {
+        if (MESSAGE_EVENTS.includes(event)) data = { ...data, message: t(data.key, data.params) };
+        if (event === 'status-change') this.lastStatus = data.message;
+        if (event === 'download-progress') this.lastProgress = data;
+        if (!this.wss) return;
+
+        const message = JSON.stringify({ event, data });
+        for (const client of this.wss.clients) {
+            if (client.readyState === client.OPEN) client.send(message);
+        }
+    }
+
+    start() {
+        if (this.server) return Promise.resolve();
+
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.wss = new WebSocketServer({ noServer: true });
+        this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
+        for (const event of QueueManager.EVENTS) {
+            const listener = data => this.broadcast(event, data);
+            this.queueManager.on(event, listener);
+            this.forwarders.push([event, listener]);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', error => {
+                this.stop();
+                reject(error);
+            });
+            this.server.listen(this.port, '127.0.0.1', () => resolve());
+        });
+    }
+
+    stop() {
+        for (const [event, listener] of this.forwarders) this.queueManager.off(event, listener);
+        this.forwarders = [];
+
+        if (this.wss) {
+            for (const client of this.wss.clients) client.terminate();
+            this.wss.close();
+            this.wss = null;
+        }
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+        }
+    }
+}
+
+module.exports = {
+    ApiServer,
+    generateToken
+};
@@ -0,0 +1,70 @@
+const { runFfmpeg } = require('./tagger');
+const { t } = require('./i18n');
+
+// "1:02:03" / "02:03" -> seconds
+function parseTimestamp(text) {
+    return text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+const TIMESTAMP = '((?:\\d{1,2}:)?\\d{1,2}:\\d{2})';
+// "00:00 Title", "1. 00:00 - Title", "[00:00] Title"
+const LEADING_TIMESTAMP = new RegExp(`^\\s*(?:\\d+[.)]\\s*)?[\\[(]?${TIMESTAMP}[\\])]?\\s*[-–—:|.)]?\\s*(.+)$`);
+// "Title - 00:00", "Title (00:00)"
+const TRAILING_TIMESTAMP = new RegExp(`^\\s*(?:\\d+[.)]\\s*)?(.+?)\\s*[-–—:|]?\\s*[\\[(]?${TIMESTAMP}[\\])]?\\s*$`);
+
+// Tracklist in the description as a fallback when the video has no chapters
+function parseDescription(description, duration) {
+    if (!description) return [];
+
+    const found = [];
+    for (const line of description.split('\n')) {
+        let match = line.match(LEADING_TIMESTAMP);
+        if (match) {
+            found.push({ start: parseTimestamp(match[1]), title: match[2].trim() });
+            continue;
+        }
+        match = line.match(TRAILING_TIMESTAMP);
+        if (match) {
+            found.push({ start: parseTimestamp(match[2]), title: match[1].trim() });
+        }
+    }
+
+    // A real tracklist starts near 0:00 and only moves forward
+    if (found.length < 2 || found[0].start > 10) return [];
+    for (let i = 1; i < found.length; i++) {
+        if (found[i].start <= found[i - 1].start) return [];
+        if (duration && found[i].start >= duration) return [];
+    }
+
+    return found.map((chapter, i) => ({
+        title: chapter.title,
+        start: chapter.start,
+        end: i + 1 < found.length ? found[i + 1].start : duration || null
+    }));
+}
+
+// Chapters as [{ title, start, end }] from the yt-dlp info, or [] if the video can't be split
+function getChapters(info) {
+    if (Array.isArray(info.chapters) && info.chapters.length > 1) {
+        return info.chapters.map((chapter, i) => ({
+            title: chapter.title || t('metadata.track', { track: i + 1 }),
+            start: chapter.start_time,
+            end: chapter.end_time || null
+        }));
+    }
+    return parseDescription(info.description, info.duration);
+}
+
+// Cuts one chapter out of the file without re-encoding
+async function extractChapter(inputPath, chapter, outputPath, { signal } = {}) {
+    const args = ['-i', inputPath, '-ss', String(chapter.start)];
+    if (chapter.end) args.push('-to', String(chapter.end));
+    args.push('-map', '0:a', '-c', 'copy', '-map_metadata', '-1', outputPath);
+    await runFfmpeg(args, { signal });
+}
+
+module.exports = {
+    getChapters,
+    parseDescription,
+    extractChapter
+};
@@ -0,0 +1,82 @@
+const { spawn } = require('child_process');
+const { t } = require('./i18n');
+
+function createAbortError() {
+    const error = new Error(t('errors.cancelled'));
+    error.name = 'AbortError';
+    return error;
+}
+
+// Kills a spawned process together with its children (yt-dlp starts ffmpeg itself)
+function killProcessTree(child) {
+    if (child.exitCode !== null || child.signalCode !== null) return;
+
+    if (process.platform === 'win32') {
+        spawn('taskkill', ['/pid', String(child.pid), '/T', '/F'], { stdio: 'ignore' });
+        return;
+    }
+
+    try {
+        // Negative PID targets the whole process group (child is spawned detached)
+        process.kill(-child.pid, 'SIGTERM');
+    } catch (e) {
+        child.kill('SIGTERM');
+    }
+}
+
+// Calls onLine for every complete line written to the stream
+function readLines(stream, onLine) {
+    let buffer = '';
+    stream.on('data', (data) => {
+        buffer += data.toString();
+        const lines = buffer.split(/\r?\n|\r/);
+        buffer = lines.pop();
+        lines.forEach(onLine);
+    });
+    stream.on('end', () => {
+        if (buffer) onLine(buffer);
+    });
+}
+
+// Runs an external tool with an argument array (never through a shell).
+// Resolves with stdout; the process tree is killed when the signal aborts.
+function runProcess(command, args, { signal, onLine } = {}) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) return reject(createAbortError());
+
+        const child = spawn(command, args, { detached: process.platform !== 'win32' });
+        let stdout = '';
+        let stderr = '';
+
+        const onAbort = () => killProcessTree(child);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        child.stdout.on('data', (data) => { stdout += data.toString(); });
+        child.stderr.on('data', (data) => { stderr += data.toString(); });
+
+        if (onLine) {
+            readLines(child.stdout, onLine);
+            readLines(child.stderr, onLine);
+        }
+
+        child.on('close', (code) => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+
+            if (signal && signal.aborted) {
+                reject(createAbortError());
+            } else if (code === 0) {
+                resolve(stdout);
+            } else {
+                reject(new Error(stderr || `${command} exited with code ${code}`));
+            }
+        });
+
+        child.on('error', reject);
+    });
+}
+
+module.exports = {
+    runProcess,
+    killProcessTree,
+    createAbortError
+};
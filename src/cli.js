@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+// Headless mode: runs the same QueueManager engine as the app, printing to the terminal
+const path = require('path');
+const fs = require('fs');
+const { parseArgs } = require('util');
+const QueueManager = require('./queue-manager');
+const configStore = require('./config');
+const { CookieProfiles } = require('./cookies');
+const { FORMATS, MP3_BITRATES, VIDEO_HEIGHTS, normalizeFormat, describeFormat } = require('./formats');
+const { validateUrl } = require('./youtube-url');
+const i18n = require('./i18n');
+
+// Help text in the current language, with the accepted values filled in
+function usage() {
+    return i18n.t('cli.usage', {
+        formats: Object.keys(FORMATS).join(', '),
+        bitrates: MP3_BITRATES.join(', '),
+        heights: VIDEO_HEIGHTS.join(', ')
+    });
+}
+
+const OPTIONS = {
+    out: { type: 'string', short: 'o' },
+    format: { type: 'string', short: 'f' },
+    bitrate: { type: 'string', short: 'b' },
+    'max-height': { type: 'string' },
+    concurrency: { type: 'string', short: 'c' },
+    'limit-rate': { type: 'string' },
+    'request-interval': { type: 'string' },
+    cookies: { type: 'string' },
+    'split-chapters': { type: 'boolean' },
+    sync: { type: 'boolean' },
+    'move-removed': { type: 'boolean' },
+    config: { type: 'string' },
+    quiet: { type: 'boolean', short: 'q' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+function usageError(message) {
+    console.error(`${i18n.t('cli.error', { error: message })}\n`);
+    console.error(usage());
+    process.exit(2);
+}
+
+function parseCommandLine(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (e) {
+        usageError(e.message);
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) {
+        console.log(usage());
+        process.exit(0);
+    }
+    if (positionals.length === 0) usageError(i18n.t('cli.noUrls'));
+    for (const url of positionals) {
+        const check = validateUrl(url);
+        if (!check.valid) usageError(i18n.t('cli.invalidUrl', { url, error: check.error }));
+    }
+
+    const type = values.format || 'mp3';
+    if (!FORMATS[type]) usageError(i18n.t('cli.unknownFormat', { format: type }));
+
+    const bitrate = values.bitrate ? values.bitrate.toUpperCase() : undefined;
+    if (bitrate && !MP3_BITRATES.includes(bitrate)) usageError(i18n.t('cli.invalidBitrate', { bitrate: values.bitrate }));
+
+    const maxHeight = values['max-height'] ? Number(values['max-height']) : undefined;
+    if (maxHeight && !VIDEO_HEIGHTS.includes(maxHeight)) usageError(i18n.t('cli.invalidHeight', { height: values['max-height'] }));
+
+    let concurrency = null;
+    if (values.concurrency !== undefined) {
+        concurrency = Number(values.concurrency);
+        if (!Number.isInteger(concurrency) || concurrency < 1) usageError(i18n.t('cli.invalidConcurrency'));
+    }
+
+    let rateLimit = null;
+    if (values['limit-rate'] !== undefined) {
+        rateLimit = Number(values['limit-rate']);
+        if (!Number.isInteger(rateLimit) || rateLimit < 0) usageError(i18n.t('cli.invalidRateLimit'));
+    }
+
+    let requestInterval = null;
+    if (values['request-interval'] !== undefined) {
+        requestInterval = Number(values['request-interval']);
+        if (!Number.isInteger(requestInterval) || requestInterval < 0) usageError(i18n.t('cli.invalidRequestInterval'));
+    }
+
+    return {
+        urls: positionals,
+        out: values.out ? path.resolve(values.out) : null,
+        format: normalizeFormat({ type, bitrate, maxHeight }),
+        concurrency,
+        rateLimit,
+        requestInterval,
+        cookies: values.cookies || null,
+        splitChapters: Boolean(values['split-chapters']),
+        sync: values.sync,
+        moveRemoved: values['move-removed'],
+        configPath: values.config ? path.resolve(values.config) : configStore.getConfigPath(),
+        quiet: Boolean(values.quiet)
+    };
+}
+
+function formatProgress(progress) {
+    const parts = [progress.phase];
+    if (progress.percent !== null && progress.percent !== undefined) parts.push(`${progress.percent.toFixed(1)}%`);
+    if (progress.speed) parts.push(`${(progress.speed / 1024 / 1024).toFixed(2)} MB/s`);
+    if (progress.eta !== null && progress.eta !== undefined) parts.push(`ETA ${progress.eta}s`);
+    return `${i18n.translate(progress.title)} · ${parts.join(' · ')}`;
+}
+
+// Log lines scroll; on a terminal the latest track progress stays on the last line
+function createPrinter({ quiet }) {
+    const interactive = process.stdout.isTTY && !quiet;
+    let statusLine = '';
+
+    const clearStatus = () => {
+        if (interactive && statusLine) process.stdout.write('\r\x1b[K');
+    };
+    const drawStatus = () => {
+        if (interactive && statusLine) process.stdout.write(statusLine.slice(0, (process.stdout.columns || 80) - 1));
+    };
+
+    return {
+        log(message) {
+            if (quiet) return;
+            clearStatus();
+            console.log(message);
+            drawStatus();
+        },
+        progress(progress) {
+            if (!interactive) return;
+            clearStatus();
+            statusLine = ['done', 'failed', 'cancelled'].includes(progress.phase) ? '' : formatProgress(progress);
+            drawStatus();
+        },
+        error(message) {
+            clearStatus();
+            console.error(message);
+            drawStatus();
+        },
+        done() {
+            clearStatus();
+            statusLine = '';
+        }
+    };
+}
+
+// Items of the app's saved queue (the CLI never writes it); none if the app hasn't run
+function readAppQueue(statePath) {
+    try {
+        return JSON.parse(fs.readFileSync(statePath, 'utf8')).items || [];
+    } catch (e) {
+        return [];
+    }
+}
+
+async function main() {
+    // The OS locale until the config (which may pick a language) is loaded
+    const systemLocale = process.env.LC_ALL || process.env.LC_MESSAGES || process.env.LANG;
+    i18n.setLanguage(i18n.detectLanguage(systemLocale));
+
+    const options = parseCommandLine(process.argv.slice(2));
+    const config = configStore.loadConfig(options.configPath);
+    i18n.setLanguage(i18n.resolveLanguage(config.language, systemLocale));
+    const printer = createPrinter(options);
+
+    // Same cookie profiles as the app; --cookies picks one by name
+    const cookieProfiles = new CookieProfiles(path.join(path.dirname(options.configPath), 'cookies'));
+    const cookieProfile = options.cookies ? cookieProfiles.find(options.cookies) : null;
+    if (options.cookies && !cookieProfile) {
+        const names = cookieProfiles.profiles.map(p => p.name).join(', ') || '-';
+        usageError(i18n.t('cli.unknownCookieProfile', { name: options.cookies, profiles: names }));
+    }
+
+    // No statePath: the CLI keeps its queue in memory and leaves the app's queue alone
+    const queueManager = new QueueManager({
+        downloadFolder: options.out || config.downloadFolder,
+        reportsDir: path.join(path.dirname(options.configPath), 'reports'),
+        libraryPath: path.join(path.dirname(options.configPath), 'library-index.json'),
+        cookieProfiles
+    });
+    configStore.applyConfig(queueManager, config);
+    if (cookieProfile) queueManager.cookieProfile = cookieProfile.id;
+
+    if (options.sync !== undefined || options.moveRemoved !== undefined) {
+        queueManager.setSyncOptions({
+            syncMode: options.sync !== undefined ? options.sync : queueManager.syncMode,
+            moveRemoved: options.moveRemoved !== undefined ? options.moveRemoved : queueManager.moveRemoved
+        });
+    }
+    if (options.concurrency) queueManager.maxConcurrency = options.concurrency;
+    if (options.rateLimit !== null) queueManager.downloadRateLimit = options.rateLimit;
+    if (options.requestInterval !== null) queueManager.requestInterval = options.requestInterval;
+
+    let criticalError = null;
+    queueManager.on('log-message', ({ key, params }) => printer.log(i18n.t(key, params)));
+    queueManager.on('item-progress', progress => printer.progress(progress));
+    queueManager.on('cookies-required', ({ title }) => {
+        printer.error(i18n.t('cli.cookiesRequired', { title, config: options.configPath }));
+    });
+    queueManager.on('download-error', message => {
+        criticalError = message;
+        printer.error(i18n.t('cli.error', { error: message }));
+    });
+
+    // Leftovers of interrupted runs; the partial downloads of the app's own queue are kept
+    queueManager.cleanupStaging(readAppQueue(path.join(path.dirname(options.configPath), 'queue-state.json')));
+
+    let cancelled = false;
+    process.on('SIGINT', () => {
+        if (cancelled) process.exit(130);
+        cancelled = true;
+        printer.error(i18n.t('cli.cancelling'));
+        queueManager.cancel();
+    });
+
+    printer.log(i18n.t('cli.start', { folder: queueManager.baseDownloadDir, format: describeFormat(options.format) }));
+    for (const url of options.urls) {
+        queueManager.addToQueue(url, { format: options.format, splitChapters: options.splitChapters });
+    }
+
+    await queueManager.start();
+    printer.done();
+
+    const report = queueManager.lastReport;
+    const { succeeded, skipped, failed, failedEntries } = report.summary();
+    for (const entry of failedEntries) {
+        console.error(i18n.t('cli.failed', { title: entry.title || entry.url, reason: entry.reason }));
+    }
+    console.log(i18n.t('cli.summary', { succeeded, skipped, failed }));
+
+    if (cancelled) return 130;
+    if (criticalError) return 2;
+    return failed > 0 ? 1 : 0;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error(i18n.t('log.criticalError', { error: error.message }));
+        process.exit(2);
+    });
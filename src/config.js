@@ -0,0 +1,230 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const filenameTemplate = require('./filename-template');
+const { DEFAULT_METADATA_RULES, normalizeRules, validateJunkPatterns } = require('./metadata');
+const { DUPLICATE_POLICIES } = require('./library');
+const { LOUDNESS_MODES } = require('./loudness');
+const { LANGUAGES, t } = require('./i18n');
+
+// Electron names the userData folder after the package name
+const APP_NAME = 'yt-dlp-node';
+
+const CONFIG_VERSION = 1;
+const DEFAULT_API_PORT = 47321;
+
+// yt-dlp player clients (--extractor-args youtube:player_client=...) tried in order
+const YOUTUBE_CLIENTS = ['android', 'android_vr', 'ios', 'mweb', 'tv', 'tv_embedded', 'web', 'web_safari', 'web_embedded'];
+
+// yt-dlp --audio-quality for Opus/M4A: 0 (best VBR) to 10 (worst)
+const AUDIO_QUALITIES = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', '10'];
+
+// Every config.json key with its type, default and limits
+const CONFIG_SCHEMA = {
+    downloadFolder: { type: 'string', default: null },
+    syncMode: { type: 'boolean', default: false },
+    moveRemoved: { type: 'boolean', default: false },
+    folderTemplate: { type: 'string', default: filenameTemplate.DEFAULT_FOLDER_TEMPLATE },
+    fileTemplate: { type: 'string', default: filenameTemplate.DEFAULT_FILE_TEMPLATE },
+    metadataRules: { type: 'object', default: DEFAULT_METADATA_RULES, normalize: normalizeRules },
+    apiServer: { type: 'object', default: { enabled: false, port: DEFAULT_API_PORT, token: null }, normalize: normalizeApiServer },
+    maxConcurrency: { type: 'integer', min: 1, max: 16, default: 4 },
+    maxRetries: { type: 'integer', min: 1, max: 10, default: 3 },
+    retryDelay: { type: 'integer', min: 0, max: 300, default: 1 }, // seconds
+    // Shared by every running download (yt-dlp --limit-rate, split between the workers); 0 = unlimited
+    downloadRateLimit: { type: 'integer', min: 0, max: 1048576, default: 0 }, // KiB/s
+    // Minimum gap between two yt-dlp runs, across all workers, to stay clear of YouTube throttling
+    requestInterval: { type: 'integer', min: 0, max: 60, default: 0 }, // seconds
+    clientStrategies: { type: 'list', values: YOUTUBE_CLIENTS, default: ['android', 'web'] },
+    audioQuality: { type: 'enum', values: AUDIO_QUALITIES, default: '0' },
+    coverSize: { type: 'integer', min: 100, max: 3000, default: 720 },
+    // Looks for cookies.txt next to the app, the working directory and the download folder
+    cookieSearch: { type: 'boolean', default: true },
+    cookiesFile: { type: 'string', default: null },
+    // Cookie profile (see cookies.js) for queue items and subscriptions without one; before
+    // cookiesFile and the automatic search
+    cookieProfile: { type: 'string', default: null },
+    // Entries already downloaded into another playlist folder (see library.js)
+    duplicatePolicy: { type: 'enum', values: DUPLICATE_POLICIES, default: 'download' },
+    // Audio post-processing (see loudness.js); the target is only used by 'normalize'
+    loudnessMode: { type: 'enum', values: LOUDNESS_MODES, default: 'off' },
+    loudnessTarget: { type: 'integer', min: -30, max: -5, default: -14 }, // LUFS
+    trimSilence: { type: 'boolean', default: false },
+    // UI and log language; 'auto' follows the OS locale
+    language: { type: 'enum', values: ['auto', ...LANGUAGES], default: 'auto' }
+};
+
+// Keys shown in the settings panel and applied with QueueManager.setDownloadSettings
+const DOWNLOAD_SETTING_KEYS = [
+    'maxConcurrency', 'maxRetries', 'retryDelay', 'downloadRateLimit', 'requestInterval', 'clientStrategies', 'audioQuality', 'coverSize', 'cookieSearch', 'cookiesFile', 'cookieProfile',
+    'duplicatePolicy', 'loudnessMode', 'loudnessTarget', 'trimSilence'
+];
+
+// MIGRATIONS[n] turns a version n config into version n + 1
+const MIGRATIONS = [
+    // 0 -> 1: unversioned configs only had flat keys; the schema fills in the rest
+    config => config
+];
+
+function normalizeApiServer(value = {}) {
+    const port = Number(value.port);
+    return {
+        enabled: Boolean(value.enabled),
+        port: Number.isInteger(port) && port >= 1024 && port <= 65535 ? port : DEFAULT_API_PORT,
+        token: typeof value.token === 'string' && value.token ? value.token : null
+    };
+}
+
+// Same folder as Electron's app.getPath('userData'), for use outside Electron (CLI)
+function getUserDataDir() {
+    const home = os.homedir();
+    if (process.platform === 'win32') {
+        return path.join(process.env.APPDATA || path.join(home, 'AppData', 'Roaming'), APP_NAME);
+    }
+    if (process.platform === 'darwin') {
+        return path.join(home, 'Library', 'Application Support', APP_NAME);
+    }
+    return path.join(process.env.XDG_CONFIG_HOME || path.join(home, '.config'), APP_NAME);
+}
+
+function getConfigPath(userDataDir = getUserDataDir()) {
+    return path.join(userDataDir, 'config.json');
+}
+
+function cloneDefault(value) {
+    return value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+}
+
+// Error message for an invalid value, or null
+function checkValue(key, value) {
+    const field = CONFIG_SCHEMA[key];
+    switch (field.type) {
+        case 'boolean':
+            return typeof value === 'boolean' ? null : t('config.boolean', { key });
+        case 'string':
+            return value === null || typeof value === 'string' ? null : t('config.string', { key });
+        case 'integer':
+            return Number.isInteger(value) && value >= field.min && value <= field.max
+                ? null
+                : t('config.integer', { key, min: field.min, max: field.max });
+        case 'enum':
+            return field.values.includes(value) ? null : t('config.enum', { key, values: field.values.join(', ') });
+        case 'list': {
+            if (!Array.isArray(value) || value.length === 0) return t('config.listEmpty', { key });
+            const unknown = value.filter(v => !field.values.includes(v));
+            return unknown.length ? t('config.listUnknown', { key, values: unknown.join(', ') }) : null;
+        }
+        case 'object':
+            return value && typeof value === 'object' && !Array.isArray(value) ? null : t('config.object', { key });
+    }
+    return null;
+}
+
+// Validates a partial config (e.g. from the settings panel); returns the error messages
+function validateConfig(partial) {
+    const errors = [];
+
+    for (const [key, value] of Object.entries(partial)) {
+        if (!CONFIG_SCHEMA[key]) {
+            errors.push(t('config.unknownKey', { key }));
+            continue;
+        }
+        const error = checkValue(key, value);
+        if (error) errors.push(error);
+    }
+
+    if ('folderTemplate' in partial || 'fileTemplate' in partial) {
+        errors.push(...filenameTemplate.validateTemplates({
+            folderTemplate: partial.folderTemplate !== undefined ? partial.folderTemplate : filenameTemplate.DEFAULT_FOLDER_TEMPLATE,
+            fileTemplate: partial.fileTemplate !== undefined ? partial.fileTemplate : filenameTemplate.DEFAULT_FILE_TEMPLATE
+        }));
+    }
+
+    if (partial.metadataRules && typeof partial.metadataRules === 'object') {
+        const invalid = validateJunkPatterns(normalizeRules(partial.metadataRules).junkPatterns);
+        errors.push(...invalid.map(pattern => t('errors.invalidPattern', { pattern })));
+    }
+
+    if (typeof partial.cookiesFile === 'string' && partial.cookiesFile && !fs.existsSync(partial.cookiesFile)) {
+        errors.push(t('config.fileNotFound', { key: 'cookiesFile', file: partial.cookiesFile }));
+    }
+
+    return errors;
+}
+
+// Fills in defaults and replaces invalid values, so the rest of the app can trust the config
+function normalizeConfig(config) {
+    const normalized = { version: CONFIG_VERSION };
+
+    for (const [key, field] of Object.entries(CONFIG_SCHEMA)) {
+        let value = config[key];
+        if (value === undefined || checkValue(key, value)) {
+            if (value !== undefined) console.warn(`Invalid config value for ${key}, using default`);
+            value = cloneDefault(field.default);
+        }
+        normalized[key] = field.normalize ? field.normalize(value) : value;
+    }
+
+    return normalized;
+}
+
+function migrateConfig(config) {
+    let version = Number.isInteger(config.version) ? config.version : 0;
+    let migrated = { ...config };
+
+    while (version < CONFIG_VERSION) {
+        migrated = MIGRATIONS[version](migrated);
+        version++;
+    }
+    return migrated;
+}
+
+function loadConfig(configPath) {
+    let config = {};
+    try {
+        if (fs.existsSync(configPath)) {
+            config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        }
+    } catch (e) {
+        console.error('Error loading config:', e);
+    }
+    return normalizeConfig(migrateConfig(config));
+}
+
+function saveConfig(configPath, config) {
+    try {
+        fs.mkdirSync(path.dirname(configPath), { recursive: true });
+        const tmpPath = `${configPath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(normalizeConfig(config), null, 2));
+        fs.renameSync(tmpPath, configPath);
+    } catch (e) {
+        console.error('Error saving config:', e);
+    }
+}
+
+// Applies the saved settings to a QueueManager; safe to call again while it runs
+function applyConfig(queueManager, config) {
+    queueManager.setSyncOptions({ syncMode: config.syncMode, moveRemoved: config.moveRemoved });
+    queueManager.setTemplates({ folderTemplate: config.folderTemplate, fileTemplate: config.fileTemplate });
+    queueManager.setMetadataRules(config.metadataRules);
+    queueManager.setDownloadSettings(config);
+}
+
+module.exports = {
+    CONFIG_VERSION,
+    CONFIG_SCHEMA,
+    DEFAULT_API_PORT,
+    DOWNLOAD_SETTING_KEYS,
+    YOUTUBE_CLIENTS,
+    AUDIO_QUALITIES,
+    DUPLICATE_POLICIES,
+    LOUDNESS_MODES,
+    LANGUAGES,
+    getUserDataDir,
+    getConfigPath,
+    validateConfig,
+    normalizeConfig,
+    loadConfig,
+    saveConfig,
+    applyConfig
+};
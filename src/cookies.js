@@ -0,0 +1,211 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { t } = require('./i18n');
+
+// Browsers yt-dlp can read cookies from (--cookies-from-browser)
+const BROWSERS = ['brave', 'chrome', 'chromium', 'edge', 'firefox', 'opera', 'safari', 'vivaldi', 'whale'];
+
+// Cookies YouTube sets for a signed-in account
+const AUTH_COOKIES = ['LOGIN_INFO', 'SID', 'SAPISID', '__Secure-1PSID', '__Secure-3PSID'];
+
+const NETSCAPE_HEADER = /^#\s*(Netscape\s+)?HTTP\s+Cookie\s+File/i;
+const YOUTUBE_DOMAIN = /(^|\.)(youtube\.com|google\.com)$/i;
+
+// Checks a Netscape cookies.txt (the format yt-dlp --cookies reads): a header, then one
+// tab-separated line per cookie: domain, subdomains, path, secure, expiry, name, value.
+// Returns { status, cookies, youtube, expired, signedIn, error }; status is
+// 'valid', 'signed-out' (no account cookies), 'expired', 'no-youtube' or 'invalid'.
+function checkCookiesText(text, now = Date.now()) {
+    const lines = String(text || '').split(/\r?\n/);
+    const result = { status: 'invalid', cookies: 0, youtube: 0, expired: 0, signedIn: false, error: null };
+    const names = new Set();
+    let badLines = 0;
+
+    for (const raw of lines) {
+        // "#HttpOnly_" lines are cookies; other comments and blank lines are skipped
+        const line = raw.startsWith('#HttpOnly_') ? raw.slice('#HttpOnly_'.length) : raw;
+        if (!line.trim() || line.startsWith('#')) continue;
+
+        const fields = line.split('\t');
+        if (fields.length !== 7 || !/^(TRUE|FALSE)$/i.test(fields[1]) || !/^\d+$/.test(fields[4])) {
+            badLines++;
+            continue;
+        }
+
+        result.cookies++;
+        if (!YOUTUBE_DOMAIN.test(fields[0].replace(/^\./, ''))) continue;
+
+        // Expiry 0 means a session cookie
+        const expiry = Number(fields[4]) * 1000;
+        if (expiry && expiry < now) {
+            result.expired++;
+            continue;
+        }
+        result.youtube++;
+        names.add(fields[5]);
+    }
+
+    if (!NETSCAPE_HEADER.test(lines[0] || '') && result.cookies === 0) {
+        result.error = t('cookies.notNetscape');
+        return result;
+    }
+    if (badLines > 0 && result.cookies === 0) {
+        result.error = t('cookies.noValidLines', { count: badLines });
+        return result;
+    }
+
+    result.signedIn = AUTH_COOKIES.some(name => names.has(name));
+    if (result.youtube > 0) result.status = result.signedIn ? 'valid' : 'signed-out';
+    else result.status = result.expired > 0 ? 'expired' : 'no-youtube';
+    return result;
+}
+
+function checkCookiesFile(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) {
+        return { status: 'invalid', cookies: 0, youtube: 0, expired: 0, signedIn: false, error: t('cookies.fileMissing') };
+    }
+    return checkCookiesText(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Named cookie profiles (cookies/profiles.json in the app data folder): an imported cookies.txt,
+// copied into the same folder, or a browser profile yt-dlp reads the cookies from on each run.
+class CookieProfiles {
+    constructor(dir) {
+        this.dir = dir;
+        this.storePath = dir ? path.join(dir, 'profiles.json') : null;
+        this.profiles = [];
+
+        this.load();
+    }
+
+    load() {
+        if (!this.storePath || !fs.existsSync(this.storePath)) return;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+            this.profiles = data.profiles || [];
+        } catch (e) {
+            console.error('Error loading cookie profiles:', e);
+        }
+    }
+
+    save() {
+        if (!this.storePath) return;
+
+        try {
+            fs.mkdirSync(this.dir, { recursive: true });
+            const tmpPath = `${this.storePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, profiles: this.profiles }, null, 2));
+            fs.renameSync(tmpPath, this.storePath);
+        } catch (e) {
+            console.error('Error saving cookie profiles:', e);
+        }
+    }
+
+    // Profiles with the current check of their file (browser profiles are only read by yt-dlp)
+    list() {
+        return this.profiles.map(profile => ({
+            ...profile,
+            check: profile.type === 'file' ? checkCookiesFile(this.filePath(profile)) : null
+        }));
+    }
+
+    get(id) {
+        return this.profiles.find(p => p.id === id) || null;
+    }
+
+    // By id, or by name (case-insensitive) for the CLI
+    find(idOrName) {
+        const name = String(idOrName || '').toLowerCase();
+        return this.get(idOrName) || this.profiles.find(p => p.name.toLowerCase() === name) || null;
+    }
+
+    filePath(profile) {
+        return profile.type === 'file' ? path.join(this.dir, profile.file) : null;
+    }
+
+    checkName(name, exceptId = null) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) return { error: t('cookies.nameRequired') };
+        if (this.profiles.some(p => p.id !== exceptId && p.name.toLowerCase() === trimmed.toLowerCase())) {
+            return { error: t('cookies.nameTaken', { name: trimmed }) };
+        }
+        return { name: trimmed };
+    }
+
+    // Copies a cookies.txt into the app data folder; files without YouTube cookies are refused
+    importFile(name, sourcePath) {
+        const checked = this.checkName(name);
+        if (checked.error) return { success: false, error: checked.error };
+
+        const check = checkCookiesFile(sourcePath);
+        if (check.error) return { success: false, error: check.error };
+        if (check.status === 'no-youtube' || check.status === 'expired') {
+            return { success: false, error: t(`cookies.status.${check.status}`) };
+        }
+
+        const id = crypto.randomUUID();
+        const profile = { id, name: checked.name, type: 'file', file: `${id}.txt`, createdAt: new Date().toISOString() };
+        try {
+            fs.mkdirSync(this.dir, { recursive: true });
+            // Session cookies: readable by the current user only
+            fs.copyFileSync(sourcePath, this.filePath(profile));
+            fs.chmodSync(this.filePath(profile), 0o600);
+        } catch (e) {
+            return { success: false, error: e.message };
+        }
+
+        this.profiles.push(profile);
+        this.save();
+        return { success: true, profile: { ...profile, check } };
+    }
+
+    // browserProfile: the browser's own profile name or folder, empty for its default profile
+    addBrowser(name, browser, browserProfile = null) {
+        const checked = this.checkName(name);
+        if (checked.error) return { success: false, error: checked.error };
+        if (!BROWSERS.includes(browser)) return { success: false, error: t('cookies.unknownBrowser', { browser, browsers: BROWSERS.join(', ') }) };
+
+        const profile = {
+            id: crypto.randomUUID(),
+            name: checked.name,
+            type: 'browser',
+            browser,
+            browserProfile: String(browserProfile || '').trim() || null,
+            createdAt: new Date().toISOString()
+        };
+        this.profiles.push(profile);
+        this.save();
+        return { success: true, profile };
+    }
+
+    remove(id) {
+        const profile = this.get(id);
+        if (!profile) return false;
+
+        if (profile.type === 'file') {
+            try {
+                fs.unlinkSync(this.filePath(profile));
+            } catch (e) {
+                if (e.code !== 'ENOENT') console.error('Error removing cookies file:', e);
+            }
+        }
+        this.profiles = this.profiles.filter(p => p.id !== id);
+        this.save();
+        return true;
+    }
+
+    // yt-dlp options for the profile: { cookies } or { cookiesFromBrowser }
+    ytDlpOptions(profile) {
+        if (profile.type === 'file') return { cookies: this.filePath(profile) };
+        return { cookiesFromBrowser: profile.browserProfile ? `${profile.browser}:${profile.browserProfile}` : profile.browser };
+    }
+}
+
+module.exports = {
+    BROWSERS,
+    CookieProfiles,
+    checkCookiesText,
+    checkCookiesFile
+};
@@ -0,0 +1,88 @@
+// Categories of yt-dlp failures, checked in order against its stderr.
+// Permanent errors fail the entry at once: retrying or switching player clients cannot fix them.
+// Labels are the "errorTypes.<type>" messages of the locale catalogs.
+const { t } = require('./i18n');
+
+const ERROR_TYPES = [
+    {
+        type: 'rate-limited',
+        permanent: false,
+        pattern: /HTTP Error 429|Too Many Requests|rate[- ]limit|confirm you(?:'|’)?re not a bot|try again later/i
+    },
+    {
+        type: 'age-restricted',
+        permanent: true,
+        pattern: /confirm your age|age[- ]restricted|inappropriate for some users/i
+    },
+    {
+        type: 'geo-blocked',
+        permanent: true,
+        pattern: /not (?:made this video )?available in your country|blocked it in your country|geo[- ]?restrict/i
+    },
+    {
+        type: 'unavailable',
+        permanent: true,
+        pattern: /Private video|video is private|Video unavailable|video (?:is|has been) (?:removed|no longer available|unavailable)|removed by the uploader|account associated with this video has been terminated|copyright claim|members[- ]only|Join this channel|Premieres in|live event will begin|HTTP Error 404|HTTP Error 410/i
+    },
+    {
+        type: 'network',
+        permanent: false,
+        pattern: /Unable to download (?:webpage|API page)|timed out|Connection (?:reset|refused|aborted)|Remote end closed|IncompleteRead|getaddrinfo|Name or service not known|Temporary failure in name resolution|Network is unreachable|ECONNRESET|ETIMEDOUT|EAI_AGAIN|SSL|HTTP Error 5\d\d/i
+    },
+    {
+        type: 'extractor',
+        permanent: false,
+        pattern: /Unable to extract|ExtractorError|Requested format is not available|nsig extraction failed|Signature extraction failed|Failed to parse JSON|player response|Unsupported URL|please report this issue/i
+    }
+];
+
+const UNKNOWN_ERROR = { type: 'unknown', permanent: false };
+
+// Retry waits double per attempt, up to this many seconds
+const MAX_RETRY_DELAY = 120;
+
+// Pool-wide pauses after HTTP 429: 30 s, 1 min, 2 min... up to 15 min
+const RATE_LIMIT_BASE_DELAY = 30;
+const MAX_RATE_LIMIT_DELAY = 15 * 60;
+
+// The line yt-dlp flagged as the error, without its "ERROR: [youtube] <id>:" prefix
+function errorDetail(message) {
+    const lines = message.split('\n').map(line => line.trim()).filter(Boolean);
+    const line = lines.find(l => /ERROR/.test(l)) || lines[0] || '';
+    return line.replace(/^ERROR:\s*(\[[^\]]+\]\s*)?([\w-]+:\s+)?/, '');
+}
+
+// { type, label, permanent, detail } for an error thrown by a yt-dlp run
+function classifyError(error) {
+    const message = error && error.message ? error.message : String(error || '');
+    const category = ERROR_TYPES.find(t => t.pattern.test(message)) || UNKNOWN_ERROR;
+    return {
+        type: category.type,
+        label: t(`errorTypes.${category.type}`),
+        permanent: category.permanent,
+        detail: errorDetail(message)
+    };
+}
+
+// "<label>: <detail>" of a classified error as a message for logs and reports, translated when shown
+function failureReason(error) {
+    return { key: 'report.failureReason', params: { label: { key: `errorTypes.${error.type}` }, detail: error.detail } };
+}
+
+// Exponential backoff for the given (0-based) retry, in seconds
+function retryDelay(attempt, baseSeconds) {
+    return Math.min(baseSeconds * Math.pow(2, attempt), MAX_RETRY_DELAY);
+}
+
+function rateLimitDelay(strikes) {
+    return Math.min(RATE_LIMIT_BASE_DELAY * Math.pow(2, strikes), MAX_RATE_LIMIT_DELAY);
+}
+
+module.exports = {
+    ERROR_TYPES: ERROR_TYPES.map(t => t.type).concat(UNKNOWN_ERROR.type),
+    MAX_RATE_LIMIT_DELAY,
+    classifyError,
+    failureReason,
+    retryDelay,
+    rateLimitDelay
+};
@@ -0,0 +1,150 @@
+// Filename and folder templates, e.g. "{playlist}" and "{index:02} - {artist} - {title}.{ext}"
+const { t } = require('./i18n');
+
+const DEFAULT_FOLDER_TEMPLATE = '{playlist}';
+const DEFAULT_FILE_TEMPLATE = '{title}.{ext}';
+
+const FOLDER_TOKENS = ['playlist', 'playlist_id', 'uploader'];
+const FILE_TOKENS = [...FOLDER_TOKENS, 'index', 'title', 'artist', 'album', 'upload_date', 'year', 'id', 'ext'];
+
+const TOKEN_PATTERN = /\{(\w+)(?::(\d+))?\}/g;
+
+// Characters Windows, macOS or Linux refuse in a path segment
+const FORBIDDEN_CHARS = /[<>:"/\\|?*\u0000-\u001F\u007F]/g;
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+
+// Leaves room under the usual 255-byte limit for collision suffixes and temp names
+const MAX_SEGMENT_BYTES = 200;
+
+// Cuts a string to a UTF-8 byte budget without splitting a character
+function truncateBytes(text, maxBytes) {
+    if (Buffer.byteLength(text) <= maxBytes) return text;
+
+    let result = '';
+    for (const char of text) {
+        if (Buffer.byteLength(result + char) > maxBytes) break;
+        result += char;
+    }
+    return result;
+}
+
+// Removes only what the filesystem forbids; accents, CJK and emoji are kept
+function sanitizeSegment(name, { keepExtension = false } = {}) {
+    let segment = String(name)
+        .normalize('NFC')
+        .replace(FORBIDDEN_CHARS, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/[. ]+$/, ''); // Windows drops trailing dots and spaces
+
+    if (!segment || /^\.+$/.test(segment)) return '';
+
+    if (RESERVED_NAMES.test(segment)) segment = `_${segment}`;
+
+    const ext = keepExtension ? segment.match(/\.[^.\s]{1,10}$/) : null;
+    if (ext) {
+        const base = segment.slice(0, -ext[0].length);
+        segment = truncateBytes(base, MAX_SEGMENT_BYTES - Buffer.byteLength(ext[0])).trim() + ext[0];
+    } else {
+        segment = truncateBytes(segment, MAX_SEGMENT_BYTES).trim();
+    }
+
+    return segment;
+}
+
+function findUnknownTokens(template, allowed) {
+    const unknown = [];
+    for (const [, token] of String(template).matchAll(TOKEN_PATTERN)) {
+        if (!allowed.includes(token) && !unknown.includes(token)) unknown.push(token);
+    }
+    return unknown;
+}
+
+function renderSegment(segment, fields) {
+    return segment.replace(TOKEN_PATTERN, (match, token, width) => {
+        let value = fields[token];
+        if (value === undefined || value === null) return '';
+        value = String(value);
+        if (width && /^\d+$/.test(value)) value = value.padStart(Number(width), '0');
+        return value;
+    });
+}
+
+// Renders a template into a relative path; "/" in the template separates folders,
+// while "/" inside a value (e.g. "AC/DC") is treated as a forbidden character.
+function renderPath(template, fields, { ext = null } = {}) {
+    const segments = String(template)
+        .split(/[\\/]/)
+        .map((segment, i, all) => sanitizeSegment(renderSegment(segment, fields), { keepExtension: i === all.length - 1 }))
+        .filter(Boolean);
+
+    if (ext && segments.length > 0) {
+        const last = segments.length - 1;
+        if (!segments[last].toLowerCase().endsWith(`.${ext}`)) {
+            segments[last] = sanitizeSegment(`${segments[last]}.${ext}`, { keepExtension: true });
+        }
+        if (segments[last] === `.${ext}`) segments.pop();
+    }
+
+    return segments.join('/');
+}
+
+function renderFolder(template, fields) {
+    return renderPath(template || DEFAULT_FOLDER_TEMPLATE, fields);
+}
+
+// Relative file path for a track; falls back to the video ID if the template renders empty
+function renderFile(template, fields) {
+    const file = renderPath(template || DEFAULT_FILE_TEMPLATE, fields, { ext: fields.ext });
+    return file || sanitizeSegment(`${fields.id || 'track'}.${fields.ext}`, { keepExtension: true });
+}
+
+function validateTemplates({ folderTemplate, fileTemplate }) {
+    const errors = [];
+    if (!String(folderTemplate || '').trim()) errors.push(t('errors.folderTemplateEmpty'));
+    if (!String(fileTemplate || '').trim()) errors.push(t('errors.fileTemplateEmpty'));
+
+    const unknownFolder = findUnknownTokens(folderTemplate || '', FOLDER_TOKENS);
+    if (unknownFolder.length) errors.push(t('errors.folderTemplateTokens', { tokens: unknownFolder.map(token => `{${token}}`).join(', ') }));
+
+    const unknownFile = findUnknownTokens(fileTemplate || '', FILE_TOKENS);
+    if (unknownFile.length) errors.push(t('errors.fileTemplateTokens', { tokens: unknownFile.map(token => `{${token}}`).join(', ') }));
+
+    return errors;
+}
+
+const SAMPLE_FIELDS = {
+    playlist: 'Canções Favoritas',
+    playlist_id: 'PL0123456789',
+    uploader: 'Canal de Exemplo',
+    index: 7,
+    title: 'Canção do Mar',
+    artist: 'Dulce Pontes',
+    album: 'Canções Favoritas',
+    upload_date: '19930415',
+    year: '1993',
+    id: 'dQw4w9WgXcQ',
+    ext: 'mp3'
+};
+
+function previewTemplates({ folderTemplate, fileTemplate, ext }) {
+    const errors = validateTemplates({ folderTemplate, fileTemplate });
+    if (errors.length) return { success: false, errors };
+
+    const fields = { ...SAMPLE_FIELDS, ext: ext || SAMPLE_FIELDS.ext };
+    const folder = renderFolder(folderTemplate, fields);
+    const file = renderFile(fileTemplate, fields);
+    return { success: true, path: [folder, file].filter(Boolean).join('/') };
+}
+
+module.exports = {
+    DEFAULT_FOLDER_TEMPLATE,
+    DEFAULT_FILE_TEMPLATE,
+    FOLDER_TOKENS,
+    FILE_TOKENS,
+    sanitizeSegment,
+    renderFolder,
+    renderFile,
+    validateTemplates,
+    previewTemplates
+};
@@ -0,0 +1,78 @@
+const { t } = require('./i18n');
+
+// Output formats selectable per queue item
+const FORMATS = {
+    mp3: { label: 'MP3', ext: 'mp3', audio: true },
+    opus: { label: 'Opus', ext: 'opus', audio: true },
+    m4a: { label: 'M4A (AAC)', ext: 'm4a', audio: true },
+    flac: { label: 'FLAC', ext: 'flac', audio: true },
+    mp4: { labelKey: 'ui.formatMp4', ext: 'mp4', audio: false },
+    mkv: { labelKey: 'ui.formatMkv', ext: 'mkv', audio: false }
+};
+
+const MP3_BITRATES = ['128K', '192K', '256K', '320K'];
+const VIDEO_HEIGHTS = [360, 480, 720, 1080, 1440, 2160];
+
+const DEFAULT_FORMAT = { type: 'mp3', bitrate: '320K', maxHeight: 1080 };
+
+// Fills in defaults and drops unknown values so persisted/IPC input is always usable
+function normalizeFormat(format = {}) {
+    const type = FORMATS[format.type] ? format.type : DEFAULT_FORMAT.type;
+    const bitrate = MP3_BITRATES.includes(format.bitrate) ? format.bitrate : DEFAULT_FORMAT.bitrate;
+    const maxHeight = VIDEO_HEIGHTS.includes(Number(format.maxHeight)) ? Number(format.maxHeight) : DEFAULT_FORMAT.maxHeight;
+    return { type, bitrate, maxHeight };
+}
+
+function getExtension(format) {
+    return FORMATS[normalizeFormat(format).type].ext;
+}
+
+function isAudio(format) {
+    return FORMATS[normalizeFormat(format).type].audio;
+}
+
+// yt-dlp options (see ytDlpDownload) for the given format; audioQuality is the VBR level for Opus/M4A
+function getDownloadOptions(format, { audioQuality = '0' } = {}) {
+    const { type, bitrate, maxHeight } = normalizeFormat(format);
+
+    switch (type) {
+        case 'mp3':
+            return { format: 'bestaudio/best', extractAudio: true, audioFormat: 'mp3', audioQuality: bitrate };
+        case 'opus':
+        case 'm4a':
+            return { format: 'bestaudio/best', extractAudio: true, audioFormat: type, audioQuality };
+        case 'flac':
+            return { format: 'bestaudio/best', extractAudio: true, audioFormat: 'flac' };
+        case 'mp4':
+            // Prefer H.264/AAC streams so the merge doesn't need re-encoding
+            return {
+                format: `bestvideo[height<=${maxHeight}][ext=mp4]+bestaudio[ext=m4a]/best[height<=${maxHeight}][ext=mp4]/best[height<=${maxHeight}]`,
+                mergeOutputFormat: 'mp4'
+            };
+        case 'mkv':
+            return {
+                format: `bestvideo[height<=${maxHeight}]+bestaudio/best[height<=${maxHeight}]`,
+                mergeOutputFormat: 'mkv'
+            };
+    }
+}
+
+function describeFormat(format) {
+    const { type, bitrate, maxHeight } = normalizeFormat(format);
+    if (type === 'mp3') return `MP3 ${bitrate.replace('K', 'kbps')}`;
+    const label = FORMATS[type].labelKey ? t(FORMATS[type].labelKey) : FORMATS[type].label;
+    if (!FORMATS[type].audio) return `${label} ${maxHeight}p`;
+    return label;
+}
+
+module.exports = {
+    FORMATS,
+    MP3_BITRATES,
+    VIDEO_HEIGHTS,
+    DEFAULT_FORMAT,
+    normalizeFormat,
+    getExtension,
+    isAudio,
+    getDownloadOptions,
+    describeFormat
+};
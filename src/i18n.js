@@ -0,0 +1,55 @@
+// Message catalogs for the UI and the engine logs, shared by the main process, the CLI and the renderer (via preload).
+// Messages are looked up by key and take {name} placeholders: t('log.itemPaused', { name: 'Playlist' })
+// Text shown later (log params, report reasons) is passed as { key, params } messages instead of translated strings,
+// so it follows the language the user switches to: t('log.attemptFailed', { error: { key: 'errorTypes.network' } })
+const CATALOGS = {
+    en: require('./locales/en.json'),
+    pt: require('./locales/pt.json')
+};
+
+const LANGUAGES = Object.keys(CATALOGS);
+const DEFAULT_LANGUAGE = 'en';
+
+let current = DEFAULT_LANGUAGE;
+
+// 'pt-BR', 'pt_BR.UTF-8' -> 'pt'; locales without a catalog fall back to English
+function detectLanguage(locale) {
+    const language = String(locale || '').toLowerCase().split(/[-_.@]/)[0];
+    return LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+}
+
+// The language setting ('auto' or a language code) resolved against the OS locale
+function resolveLanguage(setting, systemLocale) {
+    return LANGUAGES.includes(setting) ? setting : detectLanguage(systemLocale);
+}
+
+function setLanguage(language) {
+    current = LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+    return current;
+}
+
+function getLanguage() {
+    return current;
+}
+
+// Missing keys fall back to English, then to the key itself; unknown placeholders are left as they are
+function t(key, params = {}) {
+    const message = CATALOGS[current][key] || CATALOGS[DEFAULT_LANGUAGE][key] || key;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined && params[name] !== null ? String(translate(params[name])) : match));
+}
+
+// Text of a { key, params } message; plain strings (and older saved reports) are returned as they are
+function translate(value) {
+    return value && typeof value === 'object' && value.key ? t(value.key, value.params) : value;
+}
+
+module.exports = {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    detectLanguage,
+    resolveLanguage,
+    setLanguage,
+    getLanguage,
+    t,
+    translate
+};
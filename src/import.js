@@ -0,0 +1,176 @@
+// Bulk import: pasted text or .txt/.csv files with URLs or "Artist - Title" rows.
+// Rows without a URL are resolved to the first YouTube search result (ytsearch1:).
+const { ytDlpJson, pickThumbnail } = require('./ytdlp');
+const { validateUrl } = require('./youtube-url');
+const { classifyError } = require('./errors');
+
+// Searches running at the same time while resolving a list
+const RESOLVE_CONCURRENCY = 3;
+
+// CSV header names (exports from streaming services use "Track Name", "Artist Name(s)"...)
+const COLUMN_PATTERNS = {
+    url: /^(url|link|youtube)/i,
+    artist: /artist|artista|int[ée]rprete|banda/i,
+    title: /^(title|t[íi]tulo|track|name|nome|m[úu]sica|song|faixa)/i
+};
+
+const URL_LINE = /^(https?:\/\/|(www\.|m\.|music\.)?youtu(\.be|be\.com)\/)/i;
+
+// Splits one CSV line, with quoted fields ("a, b" and "" escapes)
+function splitCsvLine(line, delimiter) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+function detectDelimiter(line) {
+    const counts = [',', ';', '\t'].map(d => [d, line.split(d).length]);
+    return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// Column indexes from a header line, or null if it doesn't look like one
+function parseHeader(fields) {
+    if (fields.length < 2) return null;
+
+    const columns = {};
+    for (const [name, pattern] of Object.entries(COLUMN_PATTERNS)) {
+        const index = fields.findIndex(field => pattern.test(field));
+        if (index !== -1) columns[name] = index;
+    }
+    return columns.title !== undefined || columns.url !== undefined ? columns : null;
+}
+
+function makeRow(line, source, { url = null, artist = null, title = null }) {
+    if (url) return { line, source, url, artist: null, title: null, query: null };
+    return { line, source, url: null, artist, title, query: artist ? `${artist} - ${title}` : title };
+}
+
+// A URL, "Artist - Title" or just a title
+function parseTextLine(line, source) {
+    if (URL_LINE.test(source)) return makeRow(line, source, { url: source });
+
+    const separator = source.indexOf(' - ');
+    if (separator === -1) return makeRow(line, source, { title: source });
+    return makeRow(line, source, {
+        artist: source.slice(0, separator).trim(),
+        title: source.slice(separator + 3).trim()
+    });
+}
+
+// Rows { line, source, url, artist, title, query } from pasted text or a file.
+// CSV is recognized by its header; csv: true also accepts headerless "artist,title" rows.
+function parseImportText(text, { csv = false } = {}) {
+    const lines = String(text || '').split(/\r?\n/)
+        .map((source, i) => ({ line: i + 1, source: source.trim() }))
+        .filter(l => l.source && !l.source.startsWith('#'));
+    if (lines.length === 0) return [];
+
+    const delimiter = detectDelimiter(lines[0].source);
+    const header = lines[0].source.includes(delimiter) ? parseHeader(splitCsvLine(lines[0].source, delimiter)) : null;
+
+    if (!header && !csv) return lines.map(l => parseTextLine(l.line, l.source));
+
+    const columns = header || { artist: 0, title: 1 };
+    return (header ? lines.slice(1) : lines).map(({ line, source }) => {
+        const fields = splitCsvLine(source, delimiter);
+        const url = columns.url !== undefined ? fields[columns.url] : null;
+        if (url) return makeRow(line, source, { url });
+
+        const artist = columns.artist !== undefined ? fields[columns.artist] : null;
+        const title = fields[columns.title] || null;
+        // Rows without a title column value are read like a plain text line
+        if (!title) return parseTextLine(line, source);
+        // Several artists ("A, B" or "A;B"): the first one is enough for the search
+        return makeRow(line, source, { artist: artist ? artist.split(/[,;]/)[0].trim() : null, title });
+    });
+}
+
+function toMatch(entry) {
+    return {
+        id: entry.id,
+        title: entry.title || entry.id,
+        url: entry.webpage_url || (entry.url && entry.url.startsWith('http') ? entry.url : `https://www.youtube.com/watch?v=${entry.id}`),
+        duration: entry.duration || null,
+        channel: entry.channel || entry.uploader || null,
+        thumbnail: pickThumbnail(entry)
+    };
+}
+
+// Resolves one row to { ...row, status, match, error }:
+// 'matched' (match is a video), 'playlist' (a playlist/channel URL, queued on its own),
+// 'not-found' or 'error'
+async function resolveRow(row, { signal } = {}) {
+    try {
+        if (row.url) {
+            const check = validateUrl(row.url);
+            if (!check.valid) return { ...row, status: 'error', match: null, error: check.error };
+            if (check.type !== 'video') return { ...row, url: check.url, status: 'playlist', match: null, error: null };
+
+            const info = await ytDlpJson(check.url, { flatPlaylist: true, noWarnings: true, signal });
+            return { ...row, url: check.url, status: 'matched', match: toMatch(info), error: null };
+        }
+
+        const info = await ytDlpJson(`ytsearch1:${row.query}`, { flatPlaylist: true, noWarnings: true, signal });
+        const entry = (info.entries || [])[0];
+        if (!entry) return { ...row, status: 'not-found', match: null, error: null };
+        return { ...row, status: 'matched', match: toMatch(entry), error: null };
+    } catch (e) {
+        if (e.name === 'AbortError') throw e;
+        const error = classifyError(e);
+        return { ...row, status: 'error', match: null, error: `${error.label}: ${error.detail}` };
+    }
+}
+
+// Resolves every row, a few at a time; onProgress({ current, total }) after each one
+async function resolveImport(rows, { signal, onProgress } = {}) {
+    const results = new Array(rows.length);
+    let next = 0;
+    let done = 0;
+
+    const worker = async () => {
+        while (next < rows.length) {
+            const i = next++;
+            results[i] = await resolveRow(rows[i], { signal });
+            done++;
+            if (onProgress) onProgress({ current: done, total: rows.length });
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(RESOLVE_CONCURRENCY, rows.length) }, worker));
+    return results;
+}
+
+// Corrected row from the match preview: a URL or a new search text
+function resolveCorrection(text, { signal } = {}) {
+    const source = String(text || '').trim();
+    return resolveRow(parseTextLine(0, source), { signal });
+}
+
+module.exports = {
+    parseImportText,
+    resolveImport,
+    resolveCorrection
+};
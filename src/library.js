@@ -0,0 +1,234 @@
+const path = require('path');
+const fs = require('fs');
+const manifestStore = require('./manifest');
+const { LEGACY_TEMP_FILE } = require('./staging');
+const { removeFromPlaylistFile } = require('./m3u');
+const { FORMATS } = require('./formats');
+const { readTrackTags } = require('./tagger');
+const { t } = require('./i18n');
+
+// What to do when a playlist entry already exists somewhere in the library:
+// download it again, skip it, copy or hardlink the existing file, or only reference it in the M3U
+const DUPLICATE_POLICIES = ['download', 'skip', 'copy', 'hardlink', 'm3u'];
+
+const MEDIA_EXTENSIONS = Object.values(FORMATS).map(f => `.${f.ext}`);
+
+function isMediaFile(name) {
+    return MEDIA_EXTENSIONS.includes(path.extname(name).toLowerCase()) && !LEGACY_TEMP_FILE.test(name) && !/\.tagging\./.test(name);
+}
+
+// Every media file under dir, skipping "removed/" folders and hidden folders
+function listMediaFiles(dir) {
+    const files = [];
+    if (!fs.existsSync(dir)) return files;
+
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (entry.name === manifestStore.REMOVED_DIR || entry.name.startsWith('.')) continue;
+            files.push(...listMediaFiles(fullPath));
+        } else if (entry.isFile() && isMediaFile(entry.name)) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+function isInside(filePath, dir) {
+    const relative = path.relative(dir, filePath);
+    return Boolean(relative) && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+// Closest folder above the file (up to root) that has a playlist manifest
+function findManifestDir(filePath, root) {
+    let dir = path.dirname(filePath);
+    while (isInside(dir, root) || dir === root) {
+        if (fs.existsSync(path.join(dir, manifestStore.MANIFEST_FILE))) return dir;
+        if (dir === root) break;
+        dir = path.dirname(dir);
+    }
+    return null;
+}
+
+// Hardlinks target to source, falling back to a copy across drives
+function linkOrCopy(source, target) {
+    try {
+        fs.linkSync(source, target);
+        return 'hardlink';
+    } catch (e) {
+        if (!['EXDEV', 'EPERM', 'ENOTSUP'].includes(e.code)) throw e;
+        fs.copyFileSync(source, target);
+        return 'copy';
+    }
+}
+
+// Library index (library-index.json): video ID -> files anywhere under the download folder
+class LibraryIndex {
+    constructor(indexPath) {
+        this.indexPath = indexPath || null;
+        this.entries = {}; // videoId -> [{ file, title, artist, duration }]
+        this.load();
+    }
+
+    load() {
+        if (!this.indexPath || !fs.existsSync(this.indexPath)) return;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+            this.entries = data.entries || {};
+        } catch (e) {
+            console.error('Error loading library index:', e);
+        }
+    }
+
+    save() {
+        if (!this.indexPath) return;
+
+        try {
+            // The CLI may run before the app ever created its data folder
+            fs.mkdirSync(path.dirname(this.indexPath), { recursive: true });
+            const tmpPath = `${this.indexPath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, entries: this.entries }, null, 2));
+            fs.renameSync(tmpPath, this.indexPath);
+        } catch (e) {
+            console.error('Error saving library index:', e.message);
+        }
+    }
+
+    add(videoId, filePath, { title = null, artist = null, duration = null } = {}) {
+        const files = (this.entries[videoId] || []).filter(f => f.file !== filePath);
+        files.push({ file: filePath, title, artist, duration });
+        this.entries[videoId] = files;
+    }
+
+    removeFile(filePath) {
+        for (const [videoId, files] of Object.entries(this.entries)) {
+            const remaining = files.filter(f => f.file !== filePath);
+            if (remaining.length) this.entries[videoId] = remaining;
+            else delete this.entries[videoId];
+        }
+    }
+
+    // An existing file of the video with the given extension outside excludeDir, or null
+    find(videoId, { ext, excludeDir } = {}) {
+        const files = this.entries[videoId] || [];
+        return files.find(f =>
+            (!ext || path.extname(f.file).toLowerCase() === `.${ext}`)
+            && !(excludeDir && isInside(f.file, excludeDir))
+            && fs.existsSync(f.file)
+        ) || null;
+    }
+
+    // Rebuilds the index by reading the video ID tag of every media file under root.
+    // Untagged files (older downloads) are matched through the playlist manifests.
+    async rebuild(root, { signal, onProgress } = {}) {
+        const files = listMediaFiles(root);
+        const fromManifests = new Map();
+        const manifestDirs = new Set(files.map(f => findManifestDir(f, root)).filter(Boolean));
+
+        for (const dir of manifestDirs) {
+            const manifest = manifestStore.loadManifest(dir);
+            for (const [videoId, entry] of Object.entries(manifest.entries)) {
+                if (entry.file && !entry.linked) {
+                    fromManifests.set(path.join(dir, entry.file), { videoId, title: entry.title, artist: entry.artist, duration: entry.duration });
+                }
+            }
+        }
+
+        const entries = {};
+        let indexed = 0;
+
+        for (let i = 0; i < files.length; i++) {
+            if (signal && signal.aborted) break;
+            if (onProgress) onProgress({ current: i + 1, total: files.length });
+
+            let tags = null;
+            try {
+                tags = await readTrackTags(files[i], { signal });
+            } catch (e) {
+                if (e.name === 'AbortError') throw e;
+            }
+            if (!tags || !tags.videoId) tags = { ...tags, ...fromManifests.get(files[i]) };
+            if (!tags.videoId) continue;
+
+            entries[tags.videoId] = entries[tags.videoId] || [];
+            entries[tags.videoId].push({
+                file: files[i],
+                title: tags.title || null,
+                artist: tags.artist || null,
+                duration: tags.duration || null
+            });
+            indexed++;
+        }
+
+        this.entries = entries;
+        this.save();
+        return { files: files.length, indexed };
+    }
+
+    // Videos with more than one file on disk; files that are hardlinks of each other share an inode
+    findDuplicates() {
+        const groups = [];
+
+        for (const [videoId, files] of Object.entries(this.entries)) {
+            const existing = files.filter(f => fs.existsSync(f.file)).map(f => {
+                const stat = fs.statSync(f.file);
+                return { ...f, size: stat.size, inode: `${stat.dev}:${stat.ino}` };
+            });
+            if (existing.length < 2) continue;
+
+            const distinct = new Set(existing.map(f => f.inode)).size;
+            groups.push({
+                videoId,
+                title: existing[0].title,
+                artist: existing[0].artist,
+                files: existing,
+                // Space freed by keeping a single copy
+                wastedBytes: distinct > 1 ? existing[0].size * (distinct - 1) : 0
+            });
+        }
+
+        return groups.sort((a, b) => b.wastedBytes - a.wastedBytes);
+    }
+
+    // Keeps one file and replaces the other copies with hardlinks to it, or deletes them
+    // (mode 'delete' also drops them from their playlist manifest and .m3u8). Returns the handled files.
+    cleanupDuplicate(videoId, keepFile, mode, root) {
+        const copies = this.entries[videoId] || [];
+        if (!copies.some(f => f.file === keepFile)) throw new Error(t('errors.notADuplicate', { file: keepFile }));
+        if (!fs.existsSync(keepFile)) throw new Error(t('errors.fileNotFound', { file: keepFile }));
+        const files = copies.filter(f => f.file !== keepFile && fs.existsSync(f.file));
+
+        const handled = [];
+        for (const { file } of files) {
+            if (mode === 'hardlink') {
+                const tmpPath = `${file}.link`;
+                linkOrCopy(keepFile, tmpPath);
+                fs.renameSync(tmpPath, file);
+            } else {
+                fs.unlinkSync(file);
+                this.removeFile(file);
+
+                const manifestDir = findManifestDir(file, root);
+                if (manifestDir) {
+                    const manifest = manifestStore.loadManifest(manifestDir);
+                    for (const [id, entry] of Object.entries(manifest.entries)) {
+                        if (path.join(manifestDir, entry.file) === file) delete manifest.entries[id];
+                    }
+                    manifestStore.saveManifest(manifestDir, manifest);
+                    if (manifest.playlistFile) removeFromPlaylistFile(manifestDir, manifest.playlistFile, [file]);
+                }
+            }
+            handled.push(file);
+        }
+
+        this.save();
+        return handled;
+    }
+}
+
+module.exports = {
+    DUPLICATE_POLICIES,
+    LibraryIndex,
+    linkOrCopy
+};
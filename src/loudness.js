@@ -0,0 +1,192 @@
+const path = require('path');
+const fs = require('fs');
+const { runProcess } = require('./child-process');
+const { runFfmpeg } = require('./tagger');
+const { t } = require('./i18n');
+
+// off: untouched; replaygain: gain tags only (no re-encoding); normalize: EBU R128 re-encode to a target
+const LOUDNESS_MODES = ['off', 'replaygain', 'normalize'];
+
+// ReplayGain 2.0 reference level; Opus R128_* gains are relative to -23 LUFS
+const REPLAYGAIN_REFERENCE = -18;
+const R128_REFERENCE = -23;
+
+const SILENCE_THRESHOLD = '-50dB';
+const SILENCE_MIN_DURATION = 0.5; // seconds
+
+// Encoders used when normalization has to re-encode, per output type
+const ENCODERS = {
+    mp3: format => ['-c:a', 'libmp3lame', '-b:a', (format.bitrate || '320K').toLowerCase()],
+    opus: () => ['-c:a', 'libopus', '-b:a', '160k'],
+    m4a: () => ['-c:a', 'aac', '-b:a', '256k'],
+    flac: () => ['-c:a', 'flac']
+};
+
+// Runs an ffmpeg analysis pass and returns its log lines (filters report on stderr)
+async function analyze(inputArgs, filter, signal) {
+    const lines = [];
+    await runProcess('ffmpeg', [
+        '-hide_banner', '-nostats', ...inputArgs, '-af', filter, '-vn', '-f', 'null', '-'
+    ], { signal, onLine: line => lines.push(line) });
+    return lines;
+}
+
+function trimArgs(bounds) {
+    if (!bounds) return [];
+    const args = ['-ss', String(bounds.start)];
+    if (bounds.end) args.push('-to', String(bounds.end));
+    return args;
+}
+
+// loudnorm's JSON block: { input_i, input_tp, input_lra, input_thresh, target_offset, ... }
+function parseLoudnormJson(lines) {
+    const start = lines.findIndex(line => line.trim() === '{');
+    const end = lines.findIndex((line, i) => i > start && line.trim() === '}');
+    if (start === -1 || end === -1) throw new Error(t('errors.loudnessNotFound'));
+    return JSON.parse(lines.slice(start, end + 1).join('\n'));
+}
+
+// Integrated loudness (LUFS) and true peak (dBTP) of a file
+async function measureLoudness(filePath, { bounds = null, signal } = {}) {
+    const lines = await analyze([...trimArgs(bounds), '-i', filePath], 'loudnorm=print_format=json', signal);
+    const stats = parseLoudnormJson(lines);
+    return {
+        integrated: Number(stats.input_i),
+        truePeak: Number(stats.input_tp),
+        lra: Number(stats.input_lra),
+        threshold: Number(stats.input_thresh),
+        offset: Number(stats.target_offset)
+    };
+}
+
+// Start/end (seconds) without the leading and trailing silence, or null if there is none to cut
+async function detectSilenceBounds(filePath, duration, { signal } = {}) {
+    const lines = await analyze(['-i', filePath], `silencedetect=noise=${SILENCE_THRESHOLD}:d=${SILENCE_MIN_DURATION}`, signal);
+
+    const silences = [];
+    for (const line of lines) {
+        let match = line.match(/silence_start: (-?[\d.]+)/);
+        if (match) silences.push({ start: Math.max(0, Number(match[1])), end: null });
+        match = line.match(/silence_end: ([\d.]+)/);
+        if (match && silences.length) silences[silences.length - 1].end = Number(match[1]);
+    }
+    if (silences.length === 0) return null;
+
+    let start = 0;
+    let end = null;
+    const first = silences[0];
+    if (first.start < 0.05 && first.end) start = first.end;
+
+    const last = silences[silences.length - 1];
+    // A silence that never ends, or ends at the very end of the file, is trailing silence
+    if (last !== first || start === 0) {
+        if (!last.end || (duration && duration - last.end < 0.05)) end = last.start;
+    }
+
+    if (start === 0 && end === null) return null;
+    return { start, end };
+}
+
+function replayGainFor(measurement) {
+    return {
+        gain: REPLAYGAIN_REFERENCE - measurement.integrated,
+        peak: Math.pow(10, measurement.truePeak / 20)
+    };
+}
+
+// Album loudness: track loudness averaged by energy, weighted by duration; the album peak is the loudest track peak
+function albumMeasurement(tracks) {
+    const valid = tracks.filter(t => t.loudness && Number.isFinite(t.loudness.integrated));
+    if (valid.length === 0) return null;
+
+    let energy = 0;
+    let totalDuration = 0;
+    for (const track of valid) {
+        const duration = track.duration || 1;
+        energy += duration * Math.pow(10, track.loudness.integrated / 10);
+        totalDuration += duration;
+    }
+
+    return {
+        integrated: 10 * Math.log10(energy / totalDuration),
+        truePeak: Math.max(...valid.map(t => t.loudness.truePeak))
+    };
+}
+
+// Tag values as players expect them: "-3.21 dB" gains and linear peaks; Opus also gets R128 gains (Q7.8)
+function buildReplayGainTags({ track, album }) {
+    const tags = {};
+    if (track) {
+        const { gain, peak } = replayGainFor(track);
+        tags.REPLAYGAIN_TRACK_GAIN = `${gain.toFixed(2)} dB`;
+        tags.REPLAYGAIN_TRACK_PEAK = peak.toFixed(6);
+        tags.R128_TRACK_GAIN = String(Math.round((R128_REFERENCE - track.integrated) * 256));
+    }
+    if (album) {
+        const { gain, peak } = replayGainFor(album);
+        tags.REPLAYGAIN_ALBUM_GAIN = `${gain.toFixed(2)} dB`;
+        tags.REPLAYGAIN_ALBUM_PEAK = peak.toFixed(6);
+        tags.R128_ALBUM_GAIN = String(Math.round((R128_REFERENCE - album.integrated) * 256));
+    }
+    return tags;
+}
+
+// Replaces the file with an ffmpeg output written next to it
+async function replaceWithFfmpeg(filePath, args, signal) {
+    const ext = path.extname(filePath);
+    const outputPath = `${filePath.slice(0, -ext.length)}.loudness${ext}`;
+    try {
+        await runFfmpeg([...args, outputPath], { signal });
+        fs.renameSync(outputPath, filePath);
+    } finally {
+        if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+    }
+}
+
+// Post-processing of a converted audio file, before it is tagged.
+// options: { mode, target (LUFS), trimSilence, duration, format }
+// Returns the loudness measurement of the final file (for ReplayGain tags), or null.
+async function processLoudness(filePath, { mode = 'off', target = -14, trimSilence = false, duration = null, format = {} } = {}, { signal } = {}) {
+    const bounds = trimSilence ? await detectSilenceBounds(filePath, duration, { signal }) : null;
+    const type = path.extname(filePath).slice(1).toLowerCase();
+
+    if (mode === 'normalize' && ENCODERS[type]) {
+        // Two-pass loudnorm: measure, then apply the measured values linearly
+        const measured = await measureLoudness(filePath, { bounds, signal });
+        const filter = [
+            `loudnorm=I=${target}:TP=-1.0:LRA=11`,
+            `measured_I=${measured.integrated}`,
+            `measured_TP=${measured.truePeak}`,
+            `measured_LRA=${measured.lra}`,
+            `measured_thresh=${measured.threshold}`,
+            `offset=${measured.offset}`,
+            'linear=true'
+        ].join(':');
+
+        // loudnorm upsamples to 192 kHz internally; go back to a normal rate
+        const sampleRate = type === 'opus' ? '48000' : '44100';
+        await replaceWithFfmpeg(filePath, [
+            ...trimArgs(bounds), '-i', filePath, '-map', '0:a', '-af', filter, '-ar', sampleRate, ...ENCODERS[type](format)
+        ], signal);
+        return null;
+    }
+
+    if (bounds) {
+        await replaceWithFfmpeg(filePath, [...trimArgs(bounds), '-i', filePath, '-map', '0:a', '-c', 'copy'], signal);
+    }
+
+    if (mode === 'replaygain') {
+        const { integrated, truePeak } = await measureLoudness(filePath, { signal });
+        return { integrated, truePeak };
+    }
+    return null;
+}
+
+module.exports = {
+    LOUDNESS_MODES,
+    measureLoudness,
+    detectSilenceBounds,
+    albumMeasurement,
+    buildReplayGainTags,
+    processLoudness
+};
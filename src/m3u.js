@@ -0,0 +1,72 @@
+const path = require('path');
+const fs = require('fs');
+const { sanitizeSegment } = require('./filename-template');
+const { t } = require('./i18n');
+
+// Builds the .m3u8 contents in playlist order. Each track is
+// { file, duration, artist, title } or { failed: true, title, url }.
+function buildPlaylist(title, tracks) {
+    const lines = ['#EXTM3U', `#PLAYLIST:${title}`];
+
+    for (const track of tracks) {
+        if (track.failed) {
+            lines.push(`# ${t('m3u.failed', { title: track.title || t('metadata.unknown'), url: track.url })}`);
+            continue;
+        }
+
+        const duration = Number.isFinite(track.duration) ? Math.round(track.duration) : -1;
+        const name = track.artist ? `${track.artist} - ${track.title}` : track.title;
+        lines.push(`#EXTINF:${duration},${name || path.basename(track.file)}`);
+        // Forward slashes work in players on every platform
+        lines.push(track.file.split(path.sep).join('/'));
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+function playlistFileName(title) {
+    return `${sanitizeSegment(title) || 'playlist'}.m3u8`;
+}
+
+// Writes (or rewrites) the playlist file for a folder; removes the previous one if the name changed
+function writePlaylistFile(dir, title, tracks, previousName = null) {
+    const fileName = playlistFileName(title);
+    const filePath = path.join(dir, fileName);
+    const tmpPath = `${filePath}.tmp`;
+
+    fs.writeFileSync(tmpPath, buildPlaylist(title, tracks));
+    fs.renameSync(tmpPath, filePath);
+
+    if (previousName && previousName !== fileName) {
+        const previousPath = path.join(dir, previousName);
+        if (fs.existsSync(previousPath)) fs.unlinkSync(previousPath);
+    }
+
+    return fileName;
+}
+
+// Drops the lines of the given files (absolute paths) and their #EXTINF lines from a folder's playlist file
+function removeFromPlaylistFile(dir, fileName, files) {
+    const filePath = path.join(dir, fileName);
+    if (!fs.existsSync(filePath)) return;
+
+    const removed = new Set(files.map(file => path.resolve(file)));
+    const lines = [];
+    for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+        if (line && !line.startsWith('#') && removed.has(path.resolve(dir, line))) {
+            if (lines.length > 0 && lines[lines.length - 1].startsWith('#EXTINF:')) lines.pop();
+            continue;
+        }
+        lines.push(line);
+    }
+
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, lines.join('\n'));
+    fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = {
+    buildPlaylist,
+    writePlaylistFile,
+    removeFromPlaylistFile
+};
@@ -2,31 +2,68 @@ const { app, BrowserWindow, ipcMain, dialog, shell } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
-const { exec } = require('child_process');
 const QueueManager = require('./queue-manager');
+const SubscriptionManager = require('./subscriptions');
+const { CookieProfiles, BROWSERS } = require('./cookies');
+const configStore = require('./config');
+const { ApiServer, generateToken } = require('./api-server');
+const { classifyError } = require('./errors');
+const { validateUrl } = require('./youtube-url');
+const i18n = require('./i18n');
+const { parseImportText, resolveImport, resolveCorrection } = require('./import');
+const { previewTemplates } = require('./filename-template');
+const { normalizeRules, validateJunkPatterns, buildMetadata, describeMetadata } = require('./metadata');
 
 let mainWindow;
 let queueManager;
+let subscriptionManager;
+let cookieProfiles;
+let apiServer = null;
+let importController = null; // AbortController of the running list import
 
 // Config file helpers
 const configPath = path.join(app.getPath('userData'), 'config.json');
+const queueStatePath = path.join(app.getPath('userData'), 'queue-state.json');
+const subscriptionsPath = path.join(app.getPath('userData'), 'subscriptions.json');
+const cookiesDir = path.join(app.getPath('userData'), 'cookies');
 
 function loadConfig() {
-    try {
-        if (fs.existsSync(configPath)) {
-            return JSON.parse(fs.readFileSync(configPath, 'utf8'));
-        }
-    } catch (e) {
-        console.error('Error loading config:', e);
-    }
-    return {};
+    return configStore.loadConfig(configPath);
 }
 
 function saveConfig(config) {
+    configStore.saveConfig(configPath, config);
+}
+
+// Local API settings from config, creating the token the first time
+function getApiSettings() {
+    const config = loadConfig();
+    const settings = { ...config.apiServer };
+    if (!settings.token) {
+        settings.token = generateToken();
+        config.apiServer = settings;
+        saveConfig(config);
+    }
+    return settings;
+}
+
+// (Re)starts or stops the local API to match the settings
+async function applyApiSettings(settings) {
+    if (apiServer) {
+        apiServer.stop();
+        apiServer = null;
+    }
+    if (!settings.enabled) return { success: true };
+
+    const server = new ApiServer(queueManager, { port: settings.port, token: settings.token });
     try {
-        fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+        await server.start();
+        apiServer = server;
+        queueManager.log('log.apiStarted', { url: `http://127.0.0.1:${settings.port}` });
+        return { success: true };
     } catch (e) {
-        console.error('Error saving config:', e);
+        queueManager.log('log.apiError', { error: e.message });
+        return { success: false, error: e.message };
     }
 }
 
@@ -61,13 +98,54 @@ app.whenReady().then(() => {
 
     // Load saved config
     const config = loadConfig();
+    i18n.setLanguage(i18n.resolveLanguage(config.language, app.getLocale()));
 
     // Initialize Queue Manager with saved folder (if exists)
-    queueManager = new QueueManager(mainWindow, config.downloadFolder);
+    cookieProfiles = new CookieProfiles(cookiesDir);
+    queueManager = new QueueManager({ downloadFolder: config.downloadFolder, statePath: queueStatePath, cookieProfiles });
+    configStore.applyConfig(queueManager, config);
+
+    // Forward engine events to the window
+    queueManager.on('log-message', ({ key, params }) => console.log(i18n.t(key, params)));
+    for (const channel of QueueManager.EVENTS) {
+        queueManager.on(channel, (...args) => {
+            if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send(channel, ...args);
+        });
+    }
+
+    // Watched playlists, checked in the background
+    subscriptionManager = new SubscriptionManager(queueManager, subscriptionsPath);
+    for (const channel of SubscriptionManager.EVENTS) {
+        subscriptionManager.on(channel, (...args) => {
+            if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send(channel, ...args);
+        });
+    }
+
+    // The saved queue comes back once the window listens, so the restore and cleanup messages reach
+    // its log; subscriptions and the API only start after that, so new items don't overwrite it
+    mainWindow.webContents.once('did-finish-load', () => {
+        queueManager.restore();
+        // Files left behind by downloads interrupted last time, before anything starts downloading
+        queueManager.cleanupStaging();
+        subscriptionManager.start();
+        applyApiSettings(getApiSettings());
+    });
 
     // --- IPC Handlers (must be after queueManager is initialized) ---
-    ipcMain.handle('add-to-queue', async (event, url) => {
-        return queueManager.addToQueue(url);
+    ipcMain.handle('add-to-queue', async (event, url, options) => {
+        return queueManager.addToQueue(url, options);
+    });
+
+    ipcMain.handle('preview-playlist', async (event, url, cookieProfile) => {
+        const check = validateUrl(url);
+        if (!check.valid) return { success: false, error: check.error };
+
+        try {
+            return { success: true, preview: await queueManager.previewPlaylist(check.url, { cookieProfile: cookieProfile || null }) };
+        } catch (e) {
+            const error = classifyError(e);
+            return { success: false, error: `${error.label}: ${error.detail}` };
+        }
     });
 
     ipcMain.handle('start-queue', async () => {
@@ -75,6 +153,74 @@ app.whenReady().then(() => {
         return { success: true };
     });
 
+    ipcMain.handle('get-queue', () => {
+        return queueManager.queue;
+    });
+
+    ipcMain.handle('pause-queue', () => {
+        queueManager.pause();
+        return { success: true };
+    });
+
+    ipcMain.handle('resume-queue', () => {
+        queueManager.resume();
+        return { success: true };
+    });
+
+    ipcMain.handle('cancel-queue', () => {
+        queueManager.cancel();
+        return { success: true };
+    });
+
+    ipcMain.handle('pause-item', (event, id) => {
+        return queueManager.pauseItem(id);
+    });
+
+    ipcMain.handle('resume-item', (event, id) => {
+        return queueManager.resumeItem(id);
+    });
+
+    ipcMain.handle('update-item', (event, id, changes) => {
+        return queueManager.updateItem(id, changes);
+    });
+
+    ipcMain.handle('move-item', (event, id, index) => {
+        return queueManager.moveItem(id, index);
+    });
+
+    ipcMain.handle('cancel-item', (event, id) => {
+        return queueManager.cancelItem(id);
+    });
+
+    ipcMain.handle('get-last-report', () => {
+        return queueManager.lastReport ? queueManager.lastReport.summary() : null;
+    });
+
+    ipcMain.handle('retry-failed', (event, videoIds) => {
+        return queueManager.retryFailed(videoIds);
+    });
+
+    ipcMain.handle('retry-with-cookies', (event, profileId) => {
+        if (!cookieProfiles.get(profileId)) return 0;
+        return queueManager.retryWithCookies(profileId);
+    });
+
+    ipcMain.handle('export-report', async (event, format) => {
+        const report = queueManager.lastReport;
+        if (!report) return { success: false };
+
+        const ext = format === 'csv' ? 'csv' : 'json';
+        const result = await dialog.showSaveDialog(mainWindow, {
+            defaultPath: path.join(app.getPath('documents'), `${i18n.t('report.fileName', { id: report.id })}.${ext}`),
+            filters: [{ name: ext.toUpperCase(), extensions: [ext] }]
+        });
+
+        if (result.canceled || !result.filePath) return { success: false };
+
+        report.exportTo(result.filePath);
+        return { success: true, path: result.filePath };
+    });
+
     ipcMain.handle('open-downloads-folder', () => {
         const customPath = queueManager.baseDownloadDir;
         if (!fs.existsSync(customPath)) {
@@ -107,11 +253,307 @@ app.whenReady().then(() => {
         return queueManager.baseDownloadDir;
     });
 
+    ipcMain.handle('get-sync-options', () => {
+        return { syncMode: queueManager.syncMode, moveRemoved: queueManager.moveRemoved };
+    });
+
+    ipcMain.handle('set-sync-options', (event, options) => {
+        queueManager.setSyncOptions(options);
+
+        // Save to config
+        const config = loadConfig();
+        config.syncMode = queueManager.syncMode;
+        config.moveRemoved = queueManager.moveRemoved;
+        saveConfig(config);
+
+        return { syncMode: queueManager.syncMode, moveRemoved: queueManager.moveRemoved };
+    });
+
+    ipcMain.handle('get-templates', () => {
+        return { folderTemplate: queueManager.folderTemplate, fileTemplate: queueManager.fileTemplate };
+    });
+
+    ipcMain.handle('preview-templates', (event, templates) => {
+        return previewTemplates(templates);
+    });
+
+    ipcMain.handle('set-templates', (event, templates) => {
+        const errors = queueManager.setTemplates(templates);
+        if (errors.length > 0) return { success: false, errors };
+
+        // Save to config
+        const config = loadConfig();
+        config.folderTemplate = queueManager.folderTemplate;
+        config.fileTemplate = queueManager.fileTemplate;
+        saveConfig(config);
+
+        return { success: true };
+    });
+
+    ipcMain.handle('get-metadata-rules', () => {
+        return queueManager.metadataRules;
+    });
+
+    ipcMain.handle('set-metadata-rules', (event, rules) => {
+        const invalid = validateJunkPatterns(normalizeRules(rules).junkPatterns);
+        if (invalid.length > 0) return { success: false, errors: invalid.map(pattern => i18n.t('errors.invalidPattern', { pattern })) };
+
+        queueManager.setMetadataRules(rules);
+
+        // Save to config
+        const config = loadConfig();
+        config.metadataRules = queueManager.metadataRules;
+        saveConfig(config);
+
+        return { success: true };
+    });
+
+    // Shows how a video title would be parsed with the given rules
+    ipcMain.handle('preview-metadata', (event, { title, channel, rules }) => {
+        const metadata = buildMetadata(
+            { title, uploader: channel },
+            { playlistTitle: 'Playlist', index: 1, total: 1, isPlaylist: true },
+            rules
+        );
+        return describeMetadata(metadata);
+    });
+
+    ipcMain.handle('get-subscriptions', () => {
+        return subscriptionManager.list();
+    });
+
+    ipcMain.handle('add-subscription', (event, options) => {
+        return subscriptionManager.add(options);
+    });
+
+    ipcMain.handle('update-subscription', (event, id, changes) => {
+        return subscriptionManager.update(id, changes);
+    });
+
+    ipcMain.handle('remove-subscription', (event, id) => {
+        return subscriptionManager.remove(id);
+    });
+
+    ipcMain.handle('check-subscriptions', async (event, id) => {
+        await subscriptionManager.checkNow(id);
+        return { success: true };
+    });
+
+    // Folder picker that only returns the path (subscription output folders)
+    ipcMain.handle('choose-directory', async () => {
+        const result = await dialog.showOpenDialog(mainWindow, {
+            properties: ['openDirectory', 'createDirectory']
+        });
+        return result.canceled ? null : result.filePaths[0];
+    });
+
+    ipcMain.handle('rebuild-library', () => {
+        return queueManager.rebuildLibrary();
+    });
+
+    ipcMain.handle('find-duplicates', () => {
+        return queueManager.library.findDuplicates();
+    });
+
+    // mode: 'hardlink' (replace the other copies with links to keepFile) or 'delete'
+    ipcMain.handle('cleanup-duplicate', (event, videoId, keepFile, mode) => {
+        try {
+            const handled = queueManager.library.cleanupDuplicate(videoId, keepFile, mode, queueManager.baseDownloadDir);
+            queueManager.log(mode === 'hardlink' ? 'log.duplicatesLinked' : 'log.duplicatesDeleted', { videoId, count: handled.length });
+            return { success: true, handled };
+        } catch (e) {
+            return { success: false, error: e.message };
+        }
+    });
+
+    ipcMain.handle('get-settings', () => {
+        const config = loadConfig();
+        const settings = {};
+        for (const key of configStore.DOWNLOAD_SETTING_KEYS) settings[key] = config[key];
+        return {
+            settings,
+            youtubeClients: configStore.YOUTUBE_CLIENTS,
+            audioQualities: configStore.AUDIO_QUALITIES,
+            duplicatePolicies: configStore.DUPLICATE_POLICIES,
+            loudnessModes: configStore.LOUDNESS_MODES,
+            limits: {
+                maxConcurrency: configStore.CONFIG_SCHEMA.maxConcurrency,
+                maxRetries: configStore.CONFIG_SCHEMA.maxRetries,
+                retryDelay: configStore.CONFIG_SCHEMA.retryDelay,
+                downloadRateLimit: configStore.CONFIG_SCHEMA.downloadRateLimit,
+                requestInterval: configStore.CONFIG_SCHEMA.requestInterval,
+                coverSize: configStore.CONFIG_SCHEMA.coverSize,
+                loudnessTarget: configStore.CONFIG_SCHEMA.loudnessTarget
+            }
+        };
+    });
+
+    // Validates, saves and applies the settings right away (no restart needed)
+    ipcMain.handle('set-settings', (event, settings) => {
+        const changes = {};
+        for (const key of configStore.DOWNLOAD_SETTING_KEYS) {
+            if (settings[key] !== undefined) changes[key] = settings[key];
+        }
+        if (changes.cookiesFile === '') changes.cookiesFile = null;
+        if (changes.cookieProfile === '') changes.cookieProfile = null;
+
+        const errors = configStore.validateConfig(changes);
+        if (changes.cookieProfile && !cookieProfiles.get(changes.cookieProfile)) errors.push(i18n.t('cookies.notFound'));
+        if (errors.length > 0) return { success: false, errors };
+
+        const config = { ...loadConfig(), ...changes };
+        saveConfig(config);
+        configStore.applyConfig(queueManager, config);
+
+        return { success: true };
+    });
+
+    // Language: the saved setting ('auto' or a code) and the one in use; the renderer translates itself
+    ipcMain.handle('get-language', () => {
+        return { setting: loadConfig().language, language: i18n.getLanguage(), languages: i18n.LANGUAGES };
+    });
+
+    ipcMain.handle('set-language', (event, setting) => {
+        const errors = configStore.validateConfig({ language: setting });
+        if (errors.length > 0) return { success: false, errors };
+
+        const config = loadConfig();
+        config.language = setting;
+        saveConfig(config);
+
+        return { success: true, setting, language: i18n.setLanguage(i18n.resolveLanguage(setting, app.getLocale())) };
+    });
+
+    // Bulk import: read a list, resolve its rows (searching the ones without URL), then queue the confirmed matches
+    ipcMain.handle('open-import-file', async () => {
+        const result = await dialog.showOpenDialog(mainWindow, {
+            properties: ['openFile'],
+            filters: [{ name: i18n.t('dialog.lists'), extensions: ['txt', 'csv'] }, { name: '*', extensions: ['*'] }]
+        });
+        if (result.canceled) return null;
+
+        const filePath = result.filePaths[0];
+        return {
+            name: path.basename(filePath, path.extname(filePath)),
+            text: fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, ''),
+            csv: path.extname(filePath).toLowerCase() === '.csv'
+        };
+    });
+
+    ipcMain.handle('resolve-import', async (event, text, { csv = false } = {}) => {
+        const rows = parseImportText(text, { csv });
+        if (rows.length === 0) return { success: false, error: i18n.t('errors.importEmpty') };
+
+        if (importController) importController.abort();
+        importController = new AbortController();
+        const { signal } = importController;
+
+        try {
+            const resolved = await resolveImport(rows, {
+                signal,
+                onProgress: progress => mainWindow.webContents.send('import-progress', progress)
+            });
+            return { success: true, rows: resolved };
+        } catch (e) {
+            if (e.name === 'AbortError') return { success: false, error: i18n.t('errors.importCancelled') };
+            return { success: false, error: e.message };
+        } finally {
+            if (importController && importController.signal === signal) importController = null;
+        }
+    });
+
+    ipcMain.handle('resolve-import-row', (event, text) => resolveCorrection(text));
+
+    ipcMain.handle('cancel-import', () => {
+        if (importController) importController.abort();
+    });
+
+    ipcMain.handle('queue-import', (event, name, entries, options) => {
+        return queueManager.addImportToQueue(name, entries, options);
+    });
+
+    ipcMain.handle('choose-cookies-file', async () => {
+        const result = await dialog.showOpenDialog(mainWindow, {
+            properties: ['openFile'],
+            filters: [{ name: 'Cookies', extensions: ['txt'] }, { name: '*', extensions: ['*'] }]
+        });
+        return result.canceled ? null : result.filePaths[0];
+    });
+
+    // Cookie profiles: the list (with the check of each imported file), the default one and
+    // which cookies the running items use
+    ipcMain.handle('get-cookie-profiles', () => {
+        return {
+            profiles: cookieProfiles.list(),
+            browsers: BROWSERS,
+            defaultProfile: loadConfig().cookieProfile,
+            status: queueManager.getCookiesStatus()
+        };
+    });
+
+    ipcMain.handle('import-cookie-profile', (event, name, filePath) => {
+        const result = cookieProfiles.importFile(name, filePath);
+        if (result.success) queueManager.log('log.cookieProfileAdded', { name: result.profile.name });
+        return result;
+    });
+
+    ipcMain.handle('add-browser-cookie-profile', (event, name, browser, browserProfile) => {
+        const result = cookieProfiles.addBrowser(name, browser, browserProfile);
+        if (result.success) queueManager.log('log.cookieProfileAdded', { name: result.profile.name });
+        return result;
+    });
+
+    // Items and subscriptions that used the profile fall back to the default cookies
+    ipcMain.handle('remove-cookie-profile', (event, id) => {
+        const profile = cookieProfiles.get(id);
+        if (!profile || !cookieProfiles.remove(id)) return { success: false, error: i18n.t('cookies.notFound') };
+
+        const config = loadConfig();
+        if (config.cookieProfile === id) {
+            config.cookieProfile = null;
+            saveConfig(config);
+            configStore.applyConfig(queueManager, config);
+        }
+        queueManager.log('log.cookieProfileRemoved', { name: profile.name });
+        return { success: true };
+    });
+
+    ipcMain.handle('get-api-settings', () => {
+        return { ...getApiSettings(), running: Boolean(apiServer) };
+    });
+
+    ipcMain.handle('set-api-settings', async (event, { enabled, port, regenerateToken }) => {
+        const settings = getApiSettings();
+        const portNumber = Number(port);
+        if (!Number.isInteger(portNumber) || portNumber < 1024 || portNumber > 65535) {
+            return { success: false, error: i18n.t('errors.invalidPort', { min: 1024, max: 65535 }) };
+        }
+
+        settings.enabled = Boolean(enabled);
+        settings.port = portNumber;
+        if (regenerateToken) settings.token = generateToken();
+
+        // Save to config
+        const config = loadConfig();
+        config.apiServer = settings;
+        saveConfig(config);
+
+        const result = await applyApiSettings(settings);
+        return { ...result, settings: { ...settings, running: Boolean(apiServer) } };
+    });
+
     app.on('activate', function () {
         if (BrowserWindow.getAllWindows().length === 0) createWindow();
     });
 });
 
+// Stop running downloads so they resume from the saved queue state on next launch
+app.on('before-quit', () => {
+    if (apiServer) apiServer.stop();
+    if (subscriptionManager) subscriptionManager.stop();
+    if (queueManager) queueManager.shutdown();
+});
+
 app.on('window-all-closed', function () {
     if (process.platform !== 'darwin') app.quit();
 });
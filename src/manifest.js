@@ -0,0 +1,115 @@
+const path = require('path');
+const fs = require('fs');
+
+// Per-playlist manifest (video ID -> final file), stored inside the playlist folder
+const MANIFEST_FILE = '.playlist-manifest.json';
+const REMOVED_DIR = 'removed';
+
+function emptyManifest() {
+    return {
+        version: 1,
+        playlistId: null,
+        title: null,
+        url: null,
+        updatedAt: null,
+        entries: {},
+        removed: {}
+    };
+}
+
+function loadManifest(dir) {
+    const manifestPath = path.join(dir, MANIFEST_FILE);
+    try {
+        if (fs.existsSync(manifestPath)) {
+            const data = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+            return { ...emptyManifest(), ...data };
+        }
+    } catch (e) {
+        console.error('Error loading manifest:', e);
+    }
+    return emptyManifest();
+}
+
+function saveManifest(dir, manifest) {
+    const manifestPath = path.join(dir, MANIFEST_FILE);
+    const tmpPath = `${manifestPath}.tmp`;
+    manifest.updatedAt = new Date().toISOString();
+
+    // Write to a temp file first so a crash never leaves a truncated manifest
+    fs.writeFileSync(tmpPath, JSON.stringify(manifest, null, 2));
+    fs.renameSync(tmpPath, manifestPath);
+}
+
+// True if the manifest maps this video to a file that still exists on disk
+function hasFile(manifest, dir, videoId) {
+    const entry = manifest.entries[videoId];
+    return Boolean(entry && entry.file && fs.existsSync(path.join(dir, entry.file)));
+}
+
+function recordEntry(manifest, videoId, data) {
+    const previous = manifest.entries[videoId];
+    manifest.entries[videoId] = {
+        ...previous,
+        ...data,
+        addedAt: (previous && previous.addedAt) || new Date().toISOString()
+    };
+    delete manifest.removed[videoId];
+}
+
+// Move a track that disappeared from the source into the "removed" subfolder
+function moveToRemoved(manifest, dir, videoId) {
+    const entry = manifest.entries[videoId];
+    if (!entry) return null;
+
+    // Linked entries point into another playlist's folder (library duplicates): only forget them
+    if (entry.linked) {
+        delete manifest.entries[videoId];
+        return null;
+    }
+
+    let file = entry.file;
+    const currentPath = path.join(dir, entry.file);
+
+    if (fs.existsSync(currentPath)) {
+        // Keep the relative layout so file templates with subfolders survive a round trip
+        file = path.join(REMOVED_DIR, entry.file);
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.renameSync(currentPath, path.join(dir, file));
+    }
+
+    manifest.removed[videoId] = { ...entry, file, removedAt: new Date().toISOString() };
+    delete manifest.entries[videoId];
+    return manifest.removed[videoId];
+}
+
+// Bring a previously removed track back if it reappeared in the source
+function restoreFromRemoved(manifest, dir, videoId) {
+    const entry = manifest.removed[videoId];
+    if (!entry) return null;
+
+    const removedPath = path.join(dir, entry.file);
+    if (!fs.existsSync(removedPath)) return null;
+
+    const file = path.relative(REMOVED_DIR, entry.file);
+    const targetPath = path.join(dir, file);
+    if (fs.existsSync(targetPath)) return null;
+
+    fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+    fs.renameSync(removedPath, targetPath);
+
+    const { removedAt, ...rest } = entry;
+    manifest.entries[videoId] = { ...rest, file };
+    delete manifest.removed[videoId];
+    return manifest.entries[videoId];
+}
+
+module.exports = {
+    MANIFEST_FILE,
+    REMOVED_DIR,
+    loadManifest,
+    saveManifest,
+    hasFile,
+    recordEntry,
+    moveToRemoved,
+    restoreFromRemoved
+};
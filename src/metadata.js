@@ -0,0 +1,147 @@
+// Music metadata pipeline: yt-dlp fields first, then "Artist - Title" parsing of the video title
+const { t } = require('./i18n');
+
+const DEFAULT_JUNK_PATTERNS = [
+    // (Official Video), [Lyric Video], (Áudio Oficial), (HD), (4K)...
+    '\\s*[\\(\\[][^\\)\\]]*(official|oficial|lyrics?|letra|audio|áudio|video|vídeo|clipe|visuali[sz]er|\\bhd\\b|\\bhq\\b|\\b4k\\b|\\bmv\\b)[^\\)\\]]*[\\)\\]]',
+    // "Song | Official Video", "Song - Official Audio"
+    '\\s+[-|｜]\\s*(official|oficial)\\b.*$',
+    // Trailing quality markers: "Song HD"
+    '\\s+(hd|hq|4k)$'
+];
+
+const DEFAULT_METADATA_RULES = {
+    useYtDlpFields: true,
+    parseArtistTitle: true,
+    stripJunk: true,
+    cleanChannelName: true,
+    albumFromPlaylist: true,
+    junkPatterns: DEFAULT_JUNK_PATTERNS
+};
+
+const ARTIST_TITLE_SEPARATOR = /\s+[-–—~]\s+/;
+
+function normalizeRules(rules = {}) {
+    const normalized = { ...DEFAULT_METADATA_RULES };
+    for (const key of Object.keys(DEFAULT_METADATA_RULES)) {
+        if (key === 'junkPatterns') continue;
+        if (typeof rules[key] === 'boolean') normalized[key] = rules[key];
+    }
+    if (Array.isArray(rules.junkPatterns)) {
+        normalized.junkPatterns = rules.junkPatterns.map(p => String(p).trim()).filter(Boolean);
+    }
+    return normalized;
+}
+
+// Returns the patterns that are not valid regular expressions
+function validateJunkPatterns(patterns) {
+    return patterns.filter(pattern => {
+        try {
+            new RegExp(pattern, 'i');
+            return false;
+        } catch (e) {
+            return true;
+        }
+    });
+}
+
+function stripJunk(text, patterns) {
+    let result = text;
+    for (const pattern of patterns) {
+        try {
+            result = result.replace(new RegExp(pattern, 'gi'), '');
+        } catch (e) {
+            // Invalid user pattern: ignore it
+        }
+    }
+    return result.replace(/\s+/g, ' ').trim();
+}
+
+// "SomeArtistVEVO" -> "SomeArtist", "Some Artist - Topic" -> "Some Artist"
+function cleanChannelName(name) {
+    return name
+        .replace(/\s*-\s*Topic$/i, '')
+        .replace(/\s*VEVO$/i, '')
+        .replace(/\s*(Official|Oficial)$/i, '')
+        .trim();
+}
+
+function firstArtist(info) {
+    if (info.artist) return info.artist;
+    if (Array.isArray(info.artists) && info.artists.length > 0) return info.artists.join(', ');
+    return null;
+}
+
+// Builds { title, artist, album, trackNumber, totalTracks, year, comment, url } for tagging.
+// context: { playlistTitle, index (1-based), total, isPlaylist, url }
+function buildMetadata(info, context = {}, rules = {}) {
+    rules = normalizeRules(rules);
+
+    const rawTitle = info.title || t('metadata.unknown');
+    const channel = info.uploader || info.channel || t('metadata.unknown');
+
+    let title = null;
+    let artist = null;
+    let album = null;
+    let trackNumber = null;
+
+    if (rules.useYtDlpFields) {
+        title = info.track || null;
+        artist = firstArtist(info);
+        album = info.album || null;
+        trackNumber = album ? info.track_number || null : null;
+    }
+
+    if (!title) {
+        title = rules.stripJunk ? stripJunk(rawTitle, rules.junkPatterns) : rawTitle;
+
+        if (rules.parseArtistTitle) {
+            const parts = title.split(ARTIST_TITLE_SEPARATOR);
+            if (parts.length >= 2 && parts[0] && parts[1]) {
+                if (!artist) artist = parts[0].trim();
+                title = parts.slice(1).join(' - ').trim();
+            }
+        }
+    }
+
+    if (!artist) artist = rules.cleanChannelName ? cleanChannelName(channel) : channel;
+    if (!title) title = rawTitle;
+
+    // The playlist becomes the album, with the playlist position as track number
+    if (!album && rules.albumFromPlaylist && context.isPlaylist && context.playlistTitle) {
+        album = context.playlistTitle;
+        trackNumber = context.index || null;
+    }
+
+    const year = info.release_year
+        ? String(info.release_year)
+        : (info.upload_date ? String(info.upload_date).slice(0, 4) : null);
+    const url = info.webpage_url || context.url || null;
+
+    return {
+        title,
+        artist,
+        album,
+        trackNumber,
+        totalTracks: trackNumber && album === context.playlistTitle ? context.total || null : null,
+        year,
+        url,
+        comment: url ? t('metadata.source', { url }) : null
+    };
+}
+
+function describeMetadata(metadata) {
+    const parts = [`${metadata.artist} — ${metadata.title}`];
+    if (metadata.album) parts.push(t('metadata.album', { album: metadata.album }));
+    if (metadata.trackNumber) parts.push(t('metadata.track', { track: `${metadata.trackNumber}${metadata.totalTracks ? `/${metadata.totalTracks}` : ''}` }));
+    if (metadata.year) parts.push(t('metadata.year', { year: metadata.year }));
+    return parts.join(' | ');
+}
+
+module.exports = {
+    DEFAULT_METADATA_RULES,
+    normalizeRules,
+    validateJunkPatterns,
+    buildMetadata,
+    describeMetadata
+};
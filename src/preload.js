@@ -1,17 +1,81 @@
 const { contextBridge, ipcRenderer } = require('electron');
+const i18n = require('./i18n');
+
+// The renderer translates itself with the same catalogs as the main process
+contextBridge.exposeInMainWorld('i18n', {
+    t: i18n.t,
+    translate: i18n.translate,
+    setLanguage: i18n.setLanguage,
+    getLanguage: i18n.getLanguage
+});
 
 contextBridge.exposeInMainWorld('api', {
-    addToQueue: (url) => ipcRenderer.invoke('add-to-queue', url),
+    addToQueue: (url, options) => ipcRenderer.invoke('add-to-queue', url, options),
+    previewPlaylist: (url, cookieProfile) => ipcRenderer.invoke('preview-playlist', url, cookieProfile),
+    openImportFile: () => ipcRenderer.invoke('open-import-file'),
+    resolveImport: (text, options) => ipcRenderer.invoke('resolve-import', text, options),
+    resolveImportRow: (text) => ipcRenderer.invoke('resolve-import-row', text),
+    cancelImport: () => ipcRenderer.invoke('cancel-import'),
+    queueImport: (name, entries, options) => ipcRenderer.invoke('queue-import', name, entries, options),
     startQueue: () => ipcRenderer.invoke('start-queue'),
+    getQueue: () => ipcRenderer.invoke('get-queue'),
+    pauseQueue: () => ipcRenderer.invoke('pause-queue'),
+    resumeQueue: () => ipcRenderer.invoke('resume-queue'),
+    cancelQueue: () => ipcRenderer.invoke('cancel-queue'),
+    pauseItem: (id) => ipcRenderer.invoke('pause-item', id),
+    resumeItem: (id) => ipcRenderer.invoke('resume-item', id),
+    cancelItem: (id) => ipcRenderer.invoke('cancel-item', id),
+    updateItem: (id, changes) => ipcRenderer.invoke('update-item', id, changes),
+    moveItem: (id, index) => ipcRenderer.invoke('move-item', id, index),
+    getLastReport: () => ipcRenderer.invoke('get-last-report'),
+    retryFailed: (videoIds) => ipcRenderer.invoke('retry-failed', videoIds),
+    retryWithCookies: (profileId) => ipcRenderer.invoke('retry-with-cookies', profileId),
+    exportReport: (format) => ipcRenderer.invoke('export-report', format),
+    getSubscriptions: () => ipcRenderer.invoke('get-subscriptions'),
+    addSubscription: (options) => ipcRenderer.invoke('add-subscription', options),
+    updateSubscription: (id, changes) => ipcRenderer.invoke('update-subscription', id, changes),
+    removeSubscription: (id) => ipcRenderer.invoke('remove-subscription', id),
+    checkSubscriptions: (id) => ipcRenderer.invoke('check-subscriptions', id),
+    chooseDirectory: () => ipcRenderer.invoke('choose-directory'),
+    rebuildLibrary: () => ipcRenderer.invoke('rebuild-library'),
+    findDuplicates: () => ipcRenderer.invoke('find-duplicates'),
+    cleanupDuplicate: (videoId, keepFile, mode) => ipcRenderer.invoke('cleanup-duplicate', videoId, keepFile, mode),
+    getSettings: () => ipcRenderer.invoke('get-settings'),
+    setSettings: (settings) => ipcRenderer.invoke('set-settings', settings),
+    chooseCookiesFile: () => ipcRenderer.invoke('choose-cookies-file'),
+    getCookieProfiles: () => ipcRenderer.invoke('get-cookie-profiles'),
+    importCookieProfile: (name, filePath) => ipcRenderer.invoke('import-cookie-profile', name, filePath),
+    addBrowserCookieProfile: (name, browser, browserProfile) => ipcRenderer.invoke('add-browser-cookie-profile', name, browser, browserProfile),
+    removeCookieProfile: (id) => ipcRenderer.invoke('remove-cookie-profile', id),
+    getLanguage: () => ipcRenderer.invoke('get-language'),
+    setLanguage: (setting) => ipcRenderer.invoke('set-language', setting),
+    getApiSettings: () => ipcRenderer.invoke('get-api-settings'),
+    setApiSettings: (settings) => ipcRenderer.invoke('set-api-settings', settings),
     openDownloads: () => ipcRenderer.invoke('open-downloads-folder'),
     chooseFolder: () => ipcRenderer.invoke('choose-folder'),
     getDownloadFolder: () => ipcRenderer.invoke('get-download-folder'),
+    getSyncOptions: () => ipcRenderer.invoke('get-sync-options'),
+    setSyncOptions: (options) => ipcRenderer.invoke('set-sync-options', options),
+    getTemplates: () => ipcRenderer.invoke('get-templates'),
+    previewTemplates: (templates) => ipcRenderer.invoke('preview-templates', templates),
+    setTemplates: (templates) => ipcRenderer.invoke('set-templates', templates),
+    getMetadataRules: () => ipcRenderer.invoke('get-metadata-rules'),
+    setMetadataRules: (rules) => ipcRenderer.invoke('set-metadata-rules', rules),
+    previewMetadata: (sample) => ipcRenderer.invoke('preview-metadata', sample),
 
     // Events
     onLog: (callback) => ipcRenderer.on('log-message', (event, msg) => callback(msg)),
     onProgress: (callback) => ipcRenderer.on('download-progress', (event, data) => callback(data)),
+    onItemProgress: (callback) => ipcRenderer.on('item-progress', (event, data) => callback(data)),
     onQueueUpdate: (callback) => ipcRenderer.on('queue-update', (event, data) => callback(data)),
     onStatusChange: (callback) => ipcRenderer.on('status-change', (event, status) => callback(status)),
     onFinished: (callback) => ipcRenderer.on('download-finished', (event, msg) => callback(msg)),
+    onPaused: (callback) => ipcRenderer.on('queue-paused', () => callback()),
+    onSubscriptionsUpdate: (callback) => ipcRenderer.on('subscriptions-update', (event, subscriptions) => callback(subscriptions)),
+    onSubscriptionsChecked: (callback) => ipcRenderer.on('subscriptions-checked', (event, summary) => callback(summary)),
+    onRunReport: (callback) => ipcRenderer.on('run-report', (event, summary) => callback(summary)),
+    onImportProgress: (callback) => ipcRenderer.on('import-progress', (event, progress) => callback(progress)),
+    onCookiesRequired: (callback) => ipcRenderer.on('cookies-required', (event, entry) => callback(entry)),
+    onCookiesStatus: (callback) => ipcRenderer.on('cookies-status', (event, status) => callback(status)),
     onError: (callback) => ipcRenderer.on('download-error', (event, err) => callback(err))
 });
@@ -1,64 +1,107 @@
-const { execSync, spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
-const nodeID3 = require('node-id3');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const { Jimp } = require('jimp');
-
-// Helper to run yt-dlp using system binary
-function runYtDlp(args) {
-    return new Promise((resolve, reject) => {
-        const child = spawn('yt-dlp', args);
-        let stdout = '';
-        let stderr = '';
-
-        child.stdout.on('data', (data) => { stdout += data.toString(); });
-        child.stderr.on('data', (data) => { stderr += data.toString(); });
-
-        child.on('close', (code) => {
-            if (code === 0) {
-                resolve(stdout);
-            } else {
-                reject(new Error(stderr || `yt-dlp exited with code ${code}`));
-            }
-        });
-
-        child.on('error', reject);
+const manifestStore = require('./manifest');
+const staging = require('./staging');
+const { ytDlpJson, ytDlpDownload, pickThumbnail } = require('./ytdlp');
+const { FORMATS, normalizeFormat, getExtension, getDownloadOptions, describeFormat, isAudio } = require('./formats');
+const { writeTags, writeReplayGainTags, runFfmpeg } = require('./tagger');
+const filenameTemplate = require('./filename-template');
+const { normalizeRules, buildMetadata, describeMetadata } = require('./metadata');
+const { writePlaylistFile } = require('./m3u');
+const { getChapters, extractChapter } = require('./chapters');
+const RunReport = require('./run-report');
+const { DOWNLOAD_SETTING_KEYS } = require('./config');
+const { LibraryIndex, linkOrCopy } = require('./library');
+const { processLoudness, albumMeasurement, buildReplayGainTags } = require('./loudness');
+const { classifyError, failureReason, retryDelay, rateLimitDelay } = require('./errors');
+const { validateUrl } = require('./youtube-url');
+const { t } = require('./i18n');
+
+// Rate-limit pauses an entry may wait through before it is given up on
+const MAX_RATE_LIMIT_RETRIES = 5;
+
+// Resolves after ms, or as soon as the signal aborts
+function delay(ms, signal) {
+    return new Promise(resolve => {
+        if (signal && signal.aborted) return resolve();
+        const done = () => {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', done);
+            resolve();
+        };
+        const timer = setTimeout(done, ms);
+        if (signal) signal.addEventListener('abort', done);
     });
 }
 
-async function ytDlpJson(url, options = {}) {
-    const args = [url, '--dump-single-json'];
-    if (options.flatPlaylist) args.push('--flat-playlist');
-    if (options.noWarnings) args.push('--no-warnings');
-
-    const output = await runYtDlp(args);
-    return JSON.parse(output);
+// Wall-clock time per processing phase of one track, in ms: lap('cover') closes the phase since the previous lap
+function createPhaseTimer() {
+    const timings = {};
+    let last = Date.now();
+    return {
+        timings,
+        lap(phase) {
+            const now = Date.now();
+            timings[phase] = (timings[phase] || 0) + now - last;
+            last = now;
+        }
+    };
 }
 
-async function ytDlpDownload(url, options = {}) {
-    const args = [url];
-    if (options.output) args.push('-o', options.output);
-    if (options.format) args.push('-f', options.format);
-    if (options.extractAudio) args.push('-x');
-    if (options.audioFormat) args.push('--audio-format', options.audioFormat);
-    if (options.audioQuality) args.push('--audio-quality', options.audioQuality);
-    if (options.writeThumbnail) args.push('--write-thumbnail');
-    if (options.noWarnings) args.push('--no-warnings');
-    if (options.cookies) args.push('--cookies', options.cookies);
-    if (options.client) args.push('--extractor-args', `youtube:player_client=${options.client}`);
-
-    await runYtDlp(args);
+// "download 12.4 s, cover 0.3 s, ..." for the log
+function describeTimings(timings) {
+    return Object.entries(timings)
+        .map(([phase, ms]) => `${t(`timing.${phase}`)} ${(ms / 1000).toFixed(1)} s`)
+        .join(', ');
 }
 
-// Simple concurrency limiter (replacement for p-limit which is ESM-only)
-function createLimiter(concurrency) {
+// Log and report title of entries without one, translated when shown
+const UNKNOWN_TITLE = { key: 'metadata.unknown' };
+
+// Queue item priorities, highest first; the workers serve higher priorities before lower ones
+const PRIORITIES = ['high', 'normal', 'low'];
+const DEFAULT_PRIORITY = 'normal';
+
+// Staging subfolder for the album gain rewrites of a playlist folder
+const ALBUM_GAIN_STAGING = 'album-gain';
+
+// Global worker pool shared by every running queue item (replacement for p-limit which is ESM-only).
+// A free worker takes the next task of the highest-priority group, taking turns between groups of the
+// same priority, so one playlist's slow tail doesn't keep the next one waiting.
+// concurrency may be a function, so a changed setting applies to tasks not started yet;
+// rankOf(group) is read each time a task is picked (lower rank = served first).
+function createScheduler(concurrency, rankOf) {
+    const getConcurrency = typeof concurrency === 'function' ? concurrency : () => concurrency;
     let activeCount = 0;
-    const queue = [];
+    let turn = 0;
+    const waiting = new Map(); // group -> [{ fn, resolve, reject }]
+    const lastServed = new Map(); // group -> turn it was last served in
+
+    const pick = () => {
+        let best = null;
+        for (const group of waiting.keys()) {
+            if (best === null) {
+                best = group;
+                continue;
+            }
+            const rank = rankOf(group) - rankOf(best);
+            if (rank < 0 || (rank === 0 && (lastServed.get(group) || 0) < (lastServed.get(best) || 0))) best = group;
+        }
+        return best;
+    };
 
     const next = () => {
-        if (queue.length > 0 && activeCount < concurrency) {
+        while (waiting.size > 0 && activeCount < getConcurrency()) {
+            const group = pick();
+            const tasks = waiting.get(group);
+            const { fn, resolve, reject } = tasks.shift();
+            if (tasks.length === 0) waiting.delete(group);
+            lastServed.set(group, ++turn);
+
             activeCount++;
-            const { fn, resolve, reject } = queue.shift();
             fn().then(resolve).catch(reject).finally(() => {
                 activeCount--;
                 next();
@@ -66,305 +109,1470 @@ function createLimiter(concurrency) {
         }
     };
 
-    return (fn) => new Promise((resolve, reject) => {
-        queue.push({ fn, resolve, reject });
+    return (group, fn) => new Promise((resolve, reject) => {
+        if (!waiting.has(group)) waiting.set(group, []);
+        waiting.get(group).push({ fn, resolve, reject });
         next();
     });
 }
 
-class QueueManager {
-    constructor(mainWindow, savedFolder) {
-        this.mainWindow = mainWindow;
+// Events emitted by the engine; the Electron window and the CLI subscribe to them
+const EVENTS = [
+    'log-message',
+    'queue-update',
+    'status-change',
+    'download-progress',
+    'item-progress',
+    'queue-paused',
+    'download-finished',
+    'download-error',
+    'run-report',
+    'cookies-required',
+    'cookies-status'
+];
+
+class QueueManager extends EventEmitter {
+    // options: { downloadFolder, statePath, reportsDir, libraryPath, cookieProfiles }
+    constructor({ downloadFolder, statePath, reportsDir, libraryPath, cookieProfiles } = {}) {
+        super();
         this.queue = [];
         this.isDownloading = false;
-        this.baseDownloadDir = savedFolder || path.join(process.cwd(), 'downloads');
+        this.statePath = statePath || null;
+        // Nothing is saved before restore(), so an early quit can't overwrite the saved queue
+        this.stateRestored = false;
+        this.controllers = new Map(); // item id -> AbortController of the running item
+
+        // While the queue runs: the worker pool shared by all items, the items being processed
+        // and the track counts of the whole run
+        this.scheduler = null;
+        this.running = new Set();
+        this.progress = { completed: 0, total: 0 };
+
+        // Earliest time the next yt-dlp run may start (see waitForRequestSlot)
+        this.nextRequestAt = 0;
+
+        // HTTP 429 pauses the whole pool until this time; every new rate limit doubles the pause
+        this.rateLimit = { until: 0, strikes: 0 };
+        this.cookiesPrompted = false;
+        // Cookie profile imported from the prompt while the run was going; see retryWithCookies
+        this.cookieRetryProfile = null;
+
+        // Named cookie profiles (see cookies.js) and the cookies each running item uses (item id -> name or null)
+        this.cookieProfiles = cookieProfiles || null;
+        this.activeCookies = new Map();
+
+        // Run reports are saved next to the queue state unless told otherwise
+        this.reportsDir = reportsDir || (statePath ? path.join(path.dirname(statePath), 'reports') : null);
+        this.report = null;
+        this.lastReport = this.reportsDir ? RunReport.loadLatest(this.reportsDir) : null;
+
+        // Video ID -> files across all playlist folders, for duplicate detection
+        this.library = new LibraryIndex(libraryPath || (statePath ? path.join(path.dirname(statePath), 'library-index.json') : null));
+        this.baseDownloadDir = downloadFolder || path.join(process.cwd(), 'downloads');
+
+        // Download settings (see setDownloadSettings)
         this.maxConcurrency = 4;
+        this.maxRetries = 3;
+        this.retryDelay = 1; // seconds
+        this.clientStrategies = ['android', 'web'];
+        this.audioQuality = '0';
+        this.coverSize = 720;
+        this.cookieSearch = true;
+        this.cookiesFile = null;
+        this.cookieProfile = null; // default profile id for items and subscriptions without one
+        this.duplicatePolicy = 'download';
+        this.loudnessMode = 'off';
+        this.loudnessTarget = -14;
+        this.trimSilence = false;
+        this.downloadRateLimit = 0; // KiB/s for the whole pool, 0 = unlimited
+        this.requestInterval = 0; // seconds between yt-dlp runs
+
+        // Sync mode: only download entries missing from the playlist manifest
+        this.syncMode = false;
+        this.moveRemoved = false;
+
+        this.folderTemplate = filenameTemplate.DEFAULT_FOLDER_TEMPLATE;
+        this.fileTemplate = filenameTemplate.DEFAULT_FILE_TEMPLATE;
+        this.metadataRules = normalizeRules();
 
         // Ensure download dir exists
         if (!fs.existsSync(this.baseDownloadDir)) fs.mkdirSync(this.baseDownloadDir, { recursive: true });
     }
 
-    log(message) {
-        console.log(message);
-        if (this.mainWindow) this.mainWindow.webContents.send('log-message', message);
+    // Log lines and status messages are emitted as { key, params } (see i18n.js),
+    // so each listener can show them in its own language
+    log(key, params = {}) {
+        this.emit('log-message', { key, params });
+    }
+
+    setStatus(key, params = {}) {
+        this.emit('status-change', { key, params });
     }
 
-    addToQueue(url) {
-        if (!url) return false;
-        this.queue.push(url);
-        this.mainWindow.webContents.send('queue-update', this.queue);
+    // Returns { success: true, item }, or { success: false, error } for a URL that is not a YouTube video, playlist or channel
+    addToQueue(url, options = {}) {
+        const check = validateUrl(url);
+        if (!check.valid) return { success: false, error: check.error };
+
+        return this.pushItem({ url: check.url, type: check.type, entries: null }, options);
+    }
+
+    // Virtual playlist from an imported track list: no URL to fetch, the resolved entries
+    // ({ id, title, url, duration }) are downloaded into a folder named after the list
+    addImportToQueue(title, entries, options = {}) {
+        const name = String(title || '').trim();
+        if (!name) return { success: false, error: t('errors.importNameRequired') };
+
+        // The same video twice would share one manifest entry and file
+        const unique = new Map();
+        for (const e of entries || []) {
+            if (e && e.id && !unique.has(e.id)) unique.set(e.id, { id: e.id, title: e.title, url: e.url, duration: e.duration || null });
+        }
+        if (unique.size === 0) return { success: false, error: t('errors.importNoTracks') };
+
+        return this.pushItem({ url: null, type: 'import', entries: [...unique.values()] }, { ...options, title: name });
+    }
+
+    pushItem({ url, type, entries }, options) {
+        const item = {
+            id: crypto.randomUUID(),
+            url,
+            type,
+            entries,
+            format: normalizeFormat(options.format),
+            splitChapters: Boolean(options.splitChapters),
+            // Playlist title from the preview, shown in the queue instead of the URL
+            title: options.title || null,
+            // Only these video IDs are downloaded from the playlist (preview selection, retried failures)
+            entryIds: Array.isArray(options.entryIds) && options.entryIds.length > 0 ? options.entryIds : null,
+            // Base folder for this item instead of the global download folder (e.g. subscriptions)
+            downloadDir: options.downloadDir || null,
+            priority: PRIORITIES.includes(options.priority) ? options.priority : DEFAULT_PRIORITY,
+            // Cookie profile id; null uses the default one
+            cookieProfile: options.cookieProfile || null,
+            status: 'pending',
+            dir: null,
+            // Video IDs with a staging folder (partial download) inside dir
+            staged: [],
+            resume: false
+        };
+        this.queue.push(item);
+        this.onQueueChanged();
+        // Items added while the queue runs start as soon as a running item finishes
+        if (this.isDownloading) this.launchPendingItems();
+        return { success: true, item };
+    }
+
+    // Changes the options of an item: { title, format, splitChapters, downloadDir, cookieProfile, priority }.
+    // A running item only takes a new priority, which applies to its tracks not started yet.
+    updateItem(id, changes = {}) {
+        const item = this.getItem(id);
+        if (!item) return false;
+        if (changes.priority !== undefined && !PRIORITIES.includes(changes.priority)) return false;
+        if (item.status === 'downloading' && Object.keys(changes).some(key => key !== 'priority' && changes[key] !== undefined)) return false;
+
+        if (changes.priority !== undefined) item.priority = changes.priority;
+        if (changes.title !== undefined) item.title = changes.title || null;
+        if (changes.format !== undefined) item.format = normalizeFormat(changes.format);
+        if (changes.splitChapters !== undefined) item.splitChapters = Boolean(changes.splitChapters);
+        if (changes.downloadDir !== undefined) item.downloadDir = changes.downloadDir || null;
+        if (changes.cookieProfile !== undefined) item.cookieProfile = changes.cookieProfile || null;
+
+        this.onQueueChanged();
         return true;
     }
 
+    // Flat playlist info for choosing tracks before queueing:
+    // { url, isPlaylist, title, uploader, entries: [{ id, index, title, duration, thumbnail, uploadedAt }] }
+    // Single videos have nothing to choose from, so they skip the extra yt-dlp run (title unknown until downloaded)
+    async previewPlaylist(url, { cookieProfile = null } = {}) {
+        if (validateUrl(url).type === 'video') {
+            return { url, isPlaylist: false, title: null, uploader: null, entries: [] };
+        }
+
+        const cookies = this.resolveCookies(cookieProfile);
+        const info = await ytDlpJson(url, { flatPlaylist: true, noWarnings: true, ...(cookies && cookies.options) });
+        return {
+            url,
+            isPlaylist: Array.isArray(info.entries),
+            title: info.title || url,
+            uploader: info.uploader || info.channel || null,
+            entries: (info.entries || []).map((entry, i) => ({
+                id: entry.id,
+                index: i + 1,
+                title: entry.title || entry.id,
+                duration: entry.duration || null,
+                thumbnail: pickThumbnail(entry),
+                // Unix time, when the extractor knows it (e.g. channel tabs); used to pick the newest entries
+                uploadedAt: entry.timestamp || entry.release_timestamp || null
+            }))
+        };
+    }
+
+    getItem(id) {
+        return this.queue.find(item => item.id === id);
+    }
+
+    // Moves an item to a new position; pending items start in queue order within their priority
+    moveItem(id, index) {
+        const from = this.queue.findIndex(item => item.id === id);
+        if (from === -1 || !Number.isInteger(index)) return false;
+
+        const to = Math.max(0, Math.min(index, this.queue.length - 1));
+        const [item] = this.queue.splice(from, 1);
+        this.queue.splice(to, 0, item);
+        this.onQueueChanged();
+        return true;
+    }
+
+    getStatus() {
+        const count = status => this.queue.filter(item => item.status === status).length;
+        return {
+            isDownloading: this.isDownloading,
+            pending: count('pending'),
+            downloading: count('downloading'),
+            paused: count('paused'),
+            cookies: this.getCookiesStatus(),
+            downloadFolder: this.baseDownloadDir,
+            lastReport: this.lastReport ? this.lastReport.summary() : null
+        };
+    }
+
+    onQueueChanged() {
+        this.saveState();
+        this.emit('queue-update', this.queue);
+    }
+
+    // --- Persistence (queue-state.json next to config.json) ---
+
+    // Loads the saved queue; called by the app once it listens to the engine events,
+    // so the restore message reaches the log
+    restore() {
+        this.loadState();
+        this.stateRestored = true;
+        if (this.queue.length > 0) this.emit('queue-update', this.queue);
+    }
+
+    loadState() {
+        if (!this.statePath || !fs.existsSync(this.statePath)) return;
+
+        try {
+            const state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+            this.queue = (state.items || []).map(item => ({
+                priority: DEFAULT_PRIORITY,
+                cookieProfile: null,
+                staged: [],
+                ...item,
+                // Items interrupted by a crash or restart go back to pending and skip finished tracks
+                status: item.status === 'downloading' ? 'pending' : item.status,
+                resume: item.resume || item.status === 'downloading'
+            }));
+            if (this.queue.length > 0) {
+                this.log('log.queueRestored', { count: this.queue.length });
+            }
+        } catch (e) {
+            console.error('Error loading queue state:', e);
+        }
+    }
+
+    saveState() {
+        if (!this.statePath || !this.stateRestored) return;
+
+        try {
+            const state = { version: 1, items: this.queue };
+            fs.writeFileSync(this.statePath, JSON.stringify(state, null, 2));
+        } catch (e) {
+            console.error('Error saving queue state:', e);
+        }
+    }
+
+    // --- Pause / resume / cancel ---
+
+    pause() {
+        for (const item of this.queue) this.pauseItem(item.id, false);
+        this.onQueueChanged();
+    }
+
+    resume() {
+        for (const item of this.queue) this.resumeItem(item.id, false);
+        this.onQueueChanged();
+        this.start();
+    }
+
+    cancel() {
+        for (const item of [...this.queue]) this.cancelItem(item.id, false);
+        this.onQueueChanged();
+    }
+
+    pauseItem(id, notify = true) {
+        const item = this.getItem(id);
+        if (!item || item.status === 'paused') return false;
+
+        const controller = this.controllers.get(id);
+        if (controller) controller.abort();
+
+        item.status = 'paused';
+        item.resume = true;
+        this.log('log.itemPaused', { name: item.url || item.title });
+        if (notify) this.onQueueChanged();
+        return true;
+    }
+
+    resumeItem(id, notify = true) {
+        const item = this.getItem(id);
+        if (!item || item.status !== 'paused') return false;
+
+        item.status = 'pending';
+        if (notify) {
+            this.onQueueChanged();
+            this.start();
+        }
+        return true;
+    }
+
+    cancelItem(id, notify = true) {
+        const item = this.getItem(id);
+        if (!item) return false;
+
+        const controller = this.controllers.get(id);
+        if (controller) controller.abort();
+
+        // Wait for the killed processes to release their files before deleting them
+        const cleanup = controller ? controller.finished : Promise.resolve();
+        cleanup.then(() => {
+            if (!item.dir) return;
+            for (const videoId of item.staged) this.discardStaging(item.dir, videoId);
+        });
+
+        this.queue = this.queue.filter(i => i.id !== id);
+        this.log('log.itemCancelled', { name: item.url || item.title });
+        if (notify) this.onQueueChanged();
+        return true;
+    }
+
+    // Removes the staging folder of a playlist folder and the "_temp" files of older versions
+    cleanupTempFiles(dir) {
+        if (!fs.existsSync(dir)) return 0;
+
+        let removed = 0;
+        for (const file of fs.readdirSync(dir)) {
+            if (file !== staging.STAGING_DIR && !staging.LEGACY_TEMP_FILE.test(file)) continue;
+            try {
+                fs.rmSync(path.join(dir, file), { recursive: true, force: true });
+                removed++;
+            } catch (e) {
+                this.log('log.removeFileError', { file, error: e.message });
+            }
+        }
+        return removed;
+    }
+
+    discardStaging(dir, videoId) {
+        try {
+            staging.removeStaging(dir, videoId);
+        } catch (e) {
+            this.log('log.removeFileError', { file: path.join(staging.STAGING_DIR, videoId), error: e.message });
+        }
+    }
+
+    // Marks a video of the item as having a staging folder (saved with the queue, so a cancel after
+    // a restart still finds it), or clears the mark once the folder is gone
+    setStaged(item, videoId, staged) {
+        const others = item.staged.filter(id => id !== videoId);
+        item.staged = staged ? [...others, videoId] : others;
+        this.saveState();
+    }
+
+    // Leftovers of downloads interrupted by a crash or by closing the app, run once at startup.
+    // Staging folders of queued items are kept, so yt-dlp continues their partial downloads when
+    // the items resume; everything else is removed. otherItems: queued items of another engine
+    // (the app's queue, for the CLI) whose staging folders must be kept too.
+    cleanupStaging(otherItems = []) {
+        const items = [...this.queue, ...otherItems];
+        const keep = new Map(); // playlist folder -> staged video IDs
+        for (const item of items) {
+            if (!item.dir || !Array.isArray(item.staged)) continue;
+            const dir = path.resolve(item.dir);
+            keep.set(dir, new Set([...(keep.get(dir) || []), ...item.staged]));
+        }
+        const roots = new Set([this.baseDownloadDir, ...items.map(item => item.downloadDir).filter(Boolean)]);
+        const seen = new Set();
+        let kept = 0;
+        let removed = 0;
+
+        for (const root of roots) {
+            for (const leftover of staging.findLeftovers(root)) {
+                const dir = path.resolve(leftover.dir);
+                if (seen.has(dir)) continue;
+                seen.add(dir);
+
+                const staged = keep.get(dir);
+                if (!staged) {
+                    this.cleanupTempFiles(dir);
+                    removed += leftover.videoIds.length + leftover.tempFiles.length;
+                    continue;
+                }
+                for (const file of leftover.tempFiles) {
+                    try {
+                        fs.unlinkSync(path.join(dir, file));
+                        removed++;
+                    } catch (e) {
+                        this.log('log.removeFileError', { file, error: e.message });
+                    }
+                }
+                for (const videoId of leftover.videoIds) {
+                    if (staged.has(videoId)) {
+                        kept++;
+                    } else {
+                        this.discardStaging(dir, videoId);
+                        removed++;
+                    }
+                }
+            }
+        }
+
+        if (kept > 0) this.log('log.stagingKept', { count: kept });
+        if (removed > 0) this.log('log.stagingCleaned', { count: removed });
+        return { kept, removed };
+    }
+
+    // After the cookies prompt: the age-restricted failures go back to the queue with the imported
+    // profile and start right away, or when the run that hit them ends (so they get their own report)
+    retryWithCookies(cookieProfile) {
+        if (this.isDownloading) {
+            this.cookieRetryProfile = cookieProfile;
+            return 0;
+        }
+
+        const report = this.lastReport;
+        const videoIds = report ? report.failed.filter(e => e.errorType === 'age-restricted' && e.videoId).map(e => e.videoId) : [];
+        if (videoIds.length === 0) return 0;
+
+        const count = this.retryFailed(videoIds, { cookieProfile });
+        this.start();
+        return count;
+    }
+
+    // Re-queues the failed entries of the last run (all of them, or only the given video IDs),
+    // optionally with another cookie profile
+    retryFailed(videoIds = null, { cookieProfile } = {}) {
+        const report = this.lastReport;
+        if (!report) return 0;
+
+        const failed = report.failed.filter(e => !videoIds || videoIds.includes(e.videoId));
+        const groups = new Map();
+
+        for (const entry of failed) {
+            const key = JSON.stringify([
+                entry.source.url, entry.source.title, entry.source.format, entry.source.splitChapters, entry.source.downloadDir, entry.source.cookieProfile
+            ]);
+            if (!groups.has(key)) groups.set(key, { source: entry.source, ids: new Set(), whole: false });
+            const group = groups.get(key);
+            // Failures without a video ID mean the whole playlist failed
+            if (entry.videoId) group.ids.add(entry.videoId);
+            else group.whole = true;
+        }
+
+        for (const { source, ids, whole } of groups.values()) {
+            const options = {
+                format: source.format,
+                splitChapters: source.splitChapters,
+                downloadDir: source.downloadDir,
+                cookieProfile: cookieProfile !== undefined ? cookieProfile : source.cookieProfile,
+                entryIds: whole ? null : [...ids]
+            };
+            // Imported lists are queued whole, so sync and the M3U still see every track
+            if (source.entries) this.addImportToQueue(source.title, source.entries, options);
+            else this.addToQueue(source.url, options);
+        }
+
+        this.log('log.failedRequeued', { count: failed.length });
+        return failed.length;
+    }
+
+    // Stops running processes on app exit; the items resume on next start
+    shutdown() {
+        for (const [id, controller] of this.controllers) {
+            const item = this.getItem(id);
+            if (item) item.resume = true;
+            controller.abort();
+        }
+        this.saveState();
+    }
+
     setDownloadFolder(folderPath) {
         this.baseDownloadDir = folderPath;
         if (!fs.existsSync(this.baseDownloadDir)) {
             fs.mkdirSync(this.baseDownloadDir, { recursive: true });
         }
-        this.log(`Pasta de download alterada para: ${folderPath}`);
+        this.log('log.downloadFolderChanged', { path: folderPath });
+    }
+
+    setSyncOptions({ syncMode, moveRemoved }) {
+        this.syncMode = Boolean(syncMode);
+        this.moveRemoved = Boolean(moveRemoved);
+    }
+
+    // Takes effect for the next track or playlist, also while the queue is running
+    setDownloadSettings(settings) {
+        for (const key of DOWNLOAD_SETTING_KEYS) {
+            if (settings[key] !== undefined) this[key] = settings[key];
+        }
+    }
+
+    // Rescans the download folder, reading the video ID tag of every file
+    async rebuildLibrary() {
+        this.log('log.libraryRebuilding');
+        const result = await this.library.rebuild(this.baseDownloadDir);
+        this.log('log.libraryRebuilt', { indexed: result.indexed, files: result.files });
+        return result;
+    }
+
+    // Explicit cookies file, or the first cookies.txt found in the usual places
+    findCookiesFile() {
+        if (this.cookiesFile) return fs.existsSync(this.cookiesFile) ? this.cookiesFile : null;
+        if (!this.cookieSearch) return null;
+
+        const possiblePaths = [
+            path.join(process.cwd(), 'cookies.txt'),
+            path.join(path.dirname(process.execPath), 'cookies.txt'),
+            path.join(this.baseDownloadDir, '..', 'cookies.txt')
+        ];
+        return possiblePaths.find(p => fs.existsSync(p)) || null;
+    }
+
+    // Cookies for a yt-dlp run: the given profile, else the default profile, else a cookies.txt
+    // (the configured file or one found in the usual places). Returns { name, options } or null.
+    resolveCookies(profileId = null) {
+        for (const id of [profileId, this.cookieProfile]) {
+            const profile = id && this.cookieProfiles ? this.cookieProfiles.get(id) : null;
+            if (profile) return { name: profile.name, options: this.cookieProfiles.ytDlpOptions(profile) };
+            if (id) this.log('log.cookieProfileMissing', { id });
+        }
+
+        const file = this.findCookiesFile();
+        return file ? { name: file, options: { cookies: file } } : null;
+    }
+
+    // Which cookies the running items use: { active, names }
+    getCookiesStatus() {
+        const names = [...new Set([...this.activeCookies.values()].filter(Boolean))];
+        return { active: names.length > 0, names };
+    }
+
+    setMetadataRules(rules) {
+        this.metadataRules = normalizeRules(rules);
+    }
+
+    // Returns the validation errors; templates are only applied when there are none
+    setTemplates({ folderTemplate, fileTemplate }) {
+        const templates = {
+            folderTemplate: folderTemplate || filenameTemplate.DEFAULT_FOLDER_TEMPLATE,
+            fileTemplate: fileTemplate || filenameTemplate.DEFAULT_FILE_TEMPLATE
+        };
+        const errors = filenameTemplate.validateTemplates(templates);
+        if (errors.length === 0) {
+            this.folderTemplate = templates.folderTemplate;
+            this.fileTemplate = templates.fileTemplate;
+        }
+        return errors;
     }
 
     async start() {
-        if (this.isDownloading) return;
+        if (this.isDownloading) {
+            this.launchPendingItems();
+            return;
+        }
         this.isDownloading = true;
-        this.log("Iniciando processamento da fila...");
+        this.report = new RunReport();
+        this.rateLimit = { until: 0, strikes: 0 };
+        this.cookiesPrompted = false;
+        this.progress = { completed: 0, total: 0 };
+        this.scheduler = createScheduler(() => this.maxConcurrency, id => {
+            const item = this.getItem(id);
+            return PRIORITIES.indexOf(item ? item.priority : DEFAULT_PRIORITY);
+        });
+        this.log('log.queueStarting');
 
         try {
-            while (this.queue.length > 0) {
-                const url = this.queue.shift(); // FIFO
-                this.mainWindow.webContents.send('queue-update', this.queue);
+            this.launchPendingItems();
+            while (this.running.size > 0) {
+                await Promise.race(this.running);
+            }
 
-                await this.processPlaylist(url);
+            if (this.queue.some(i => i.status === 'paused')) {
+                this.log('log.queuePaused');
+                this.emit('queue-paused');
+            } else {
+                this.log('log.queueFinished');
+                this.emit('download-finished', { key: 'status.allFinished', params: {} });
             }
-            this.log("Todas as filas concluídas.");
-            this.mainWindow.webContents.send('download-finished', "Todos os downloads concluídos!");
-        } catch (error) {
-            this.log(`Erro Crítico: ${error.message}`);
-            this.mainWindow.webContents.send('download-error', error.message);
         } finally {
             this.isDownloading = false;
-            this.mainWindow.webContents.send('status-change', "Pronto");
+            this.scheduler = null;
+            this.finishReport();
+            const paused = this.queue.some(i => i.status === 'paused');
+            this.setStatus(paused ? 'status.paused' : 'status.ready');
         }
+
+        const cookieProfile = this.cookieRetryProfile;
+        this.cookieRetryProfile = null;
+        if (cookieProfile) this.retryWithCookies(cookieProfile);
     }
 
-    async processPlaylist(url) {
-        this.log(`Buscando informações da playlist: ${url}`);
-        this.mainWindow.webContents.send('status-change', "Buscando informações...");
+    // Starts pending items while fewer than maxConcurrency run, highest priority first and then in
+    // queue order; the running items' playlist fetches and tracks share the scheduler's workers.
+    // Items still waiting can be reordered and edited.
+    launchPendingItems() {
+        while (this.running.size < this.maxConcurrency) {
+            const item = this.nextPendingItem();
+            if (!item) return;
+
+            const task = this.processItem(item)
+                .catch(error => {
+                    this.log('log.criticalError', { error: error.message });
+                    this.emit('download-error', error.message);
+                })
+                .finally(() => {
+                    this.running.delete(task);
+                    if (this.isDownloading) this.launchPendingItems();
+                });
+            this.running.add(task);
+        }
+    }
+
+    // Items resumed while their paused run is still stopping wait for it (see processItem)
+    nextPendingItem() {
+        let next = null;
+        for (const item of this.queue) {
+            if (item.status !== 'pending' || this.controllers.has(item.id)) continue;
+            if (!next || PRIORITIES.indexOf(item.priority) < PRIORITIES.indexOf(next.priority)) next = item;
+        }
+        return next;
+    }
+
+    finishReport() {
+        const report = this.report;
+        this.report = null;
+        report.finish();
+
+        if (this.reportsDir) {
+            try {
+                report.save(this.reportsDir);
+            } catch (e) {
+                this.log('log.reportSaveError', { error: e.message });
+            }
+        }
+
+        this.lastReport = report;
+        const { succeeded, skipped, failed } = report.summary();
+        this.log('log.reportSummary', { succeeded, skipped, failed });
+        const totals = report.phaseTotals();
+        if (Object.keys(totals).length > 0) this.log('log.runTimings', { timings: describeTimings(totals) });
+        this.emit('run-report', report.summary());
+    }
+
+    // Report entry source: what to put back in the queue to retry it.
+    // Imported lists can't be fetched again, so they keep their entries.
+    reportSource(item) {
+        const source = {
+            url: item.url,
+            format: item.format,
+            splitChapters: item.splitChapters,
+            downloadDir: item.downloadDir || null,
+            cookieProfile: item.cookieProfile || null
+        };
+        if (item.entries) {
+            source.title = item.title;
+            source.entries = item.entries;
+        }
+        return source;
+    }
+
+    async processItem(item) {
+        const controller = new AbortController();
+        let markFinished;
+        controller.finished = new Promise(r => { markFinished = r; });
+        this.controllers.set(item.id, controller);
+
+        item.status = 'downloading';
+        this.onQueueChanged();
+
+        // Resolved once per item, so the log says which cookies the whole item runs with
+        const cookies = this.resolveCookies(item.cookieProfile);
+        const name = item.title || item.url;
+        if (cookies) this.log('log.cookiesActive', { name, cookies: cookies.name });
+        else this.log('log.cookiesNone', { name });
+        this.activeCookies.set(item.id, cookies ? cookies.name : null);
+        this.emit('cookies-status', this.getCookiesStatus());
 
         try {
-            const info = await ytDlpJson(url, {
-                flatPlaylist: true,
-                noWarnings: true
+            await this.processPlaylist(item, controller.signal, cookies);
+        } finally {
+            // A quick pause and resume may have started a newer run of the item by now
+            if (this.controllers.get(item.id) === controller) {
+                this.controllers.delete(item.id);
+                this.activeCookies.delete(item.id);
+                this.emit('cookies-status', this.getCookiesStatus());
+            }
+            markFinished();
+        }
+
+        // Paused or cancelled items were already updated by pauseItem/cancelItem
+        if (controller.signal.aborted) return;
+
+        this.queue = this.queue.filter(i => i.id !== item.id);
+        this.onQueueChanged();
+    }
+
+    async processPlaylist(item, signal, cookies = null) {
+        const url = item.url;
+        const format = normalizeFormat(item.format);
+        if (item.entries) {
+            this.log('log.importStarting', { title: item.title, format: describeFormat(format) });
+        } else {
+            this.log('log.fetchingPlaylist', { url, format: describeFormat(format) });
+            this.setStatus('status.fetchingInfo');
+        }
+
+        try {
+            // Imported lists already carry their resolved entries
+            const info = item.entries ? { title: item.title, entries: item.entries } : await this.scheduler(item.id, async () => {
+                await this.waitForRequestSlot(signal);
+                return ytDlpJson(url, { flatPlaylist: true, noWarnings: true, ...(cookies && cookies.options), signal });
             });
 
-            const playlistTitle = info.title || "Playlist Desconhecida";
+            const playlistTitle = info.title || t('metadata.unknownPlaylist');
             const entries = info.entries || [info]; // Handle single video
 
-            this.log(`Encontrados ${entries.length} itens em '${playlistTitle}'`);
+            this.log('log.playlistEntriesFound', { count: entries.length, title: info.title || { key: 'metadata.unknownPlaylist' } });
 
             // Create Folder
-            const safeTitle = playlistTitle.replace(/[^a-zA-Z0-9 \.\_\-]/g, "").trim();
-            const playlistDir = path.join(this.baseDownloadDir, safeTitle);
+            const playlistFields = {
+                playlist: playlistTitle,
+                playlist_id: info.id,
+                uploader: info.uploader || info.channel
+            };
+            const folderName = filenameTemplate.renderFolder(this.folderTemplate, playlistFields)
+                || filenameTemplate.sanitizeSegment(info.id || '') || 'Playlist';
+            const playlistDir = path.join(item.downloadDir || this.baseDownloadDir, folderName);
             if (!fs.existsSync(playlistDir)) fs.mkdirSync(playlistDir, { recursive: true });
+            item.dir = playlistDir;
+            this.saveState();
+
+            const manifest = manifestStore.loadManifest(playlistDir);
+            manifest.playlistId = info.id || manifest.playlistId;
+            manifest.title = playlistTitle;
+            manifest.url = url;
+            // Saved before any download, so startup cleanup recognizes the folder (see staging.findLeftovers)
+            manifestStore.saveManifest(playlistDir, manifest);
+
+            let pending = entries;
+            if (this.syncMode) {
+                pending = this.syncWithManifest(manifest, playlistDir, entries);
+            } else if (item.resume) {
+                // Resuming: skip the tracks this item already finished
+                pending = entries.filter(e => !manifestStore.hasFile(manifest, playlistDir, e.id));
+                this.log('log.resumingPlaylist', { title: playlistTitle, pending: pending.length, total: entries.length });
+            }
 
-            const limit = createLimiter(this.maxConcurrency);
-            let completed = 0;
-            const total = entries.length;
+            // Selected entries only (retry of failures); the rest keep their playlist position
+            const selected = item.entryIds ? entries.filter(e => item.entryIds.includes(e.id)) : entries;
+            if (item.entryIds) pending = pending.filter(e => item.entryIds.includes(e.id));
+
+            for (const entry of selected) {
+                if (pending.includes(entry)) continue;
+                this.report.add('skipped', {
+                    itemId: item.id,
+                    playlist: playlistTitle,
+                    videoId: entry.id,
+                    title: entry.title,
+                    url: entry.url,
+                    file: manifest.entries[entry.id] ? manifest.entries[entry.id].file : null,
+                    reason: { key: 'report.alreadyDownloaded' }
+                });
+            }
 
-            this.mainWindow.webContents.send('status-change', `Baixando ${total} itens...`);
+            const total = pending.length;
 
-            // Map entries to promises with concurrency limit
-            const tasks = entries.map((entry, index) => {
-                return limit(() => this.downloadItemWithRetry(entry, playlistDir, index, total).then(res => {
-                    completed++;
-                    this.mainWindow.webContents.send('download-progress', { completed, total });
-                }));
+            const failed = new Set();
+
+            if (total === 0) {
+                manifestStore.saveManifest(playlistDir, manifest);
+                this.writePlaylistFile(manifest, playlistDir, entries, failed);
+                this.log('log.nothingNew', { title: playlistTitle });
+                return;
+            }
+
+            this.setStatus('status.downloadingItems', { count: total });
+            this.progress.total += total;
+            this.emit('download-progress', { ...this.progress });
+
+            // Tracks in playlist order, run by the global worker pool
+            const tasks = pending.map((entry) => {
+                const index = entries.indexOf(entry);
+                return this.scheduler(item.id, async () => {
+                    if (signal.aborted) return null;
+
+                    const duplicate = this.findDuplicate(entry, playlistDir, format, item, manifest);
+                    if (duplicate) return this.reuseDuplicate(entry, duplicate, { item, dir: playlistDir, playlistFields });
+
+                    return this.downloadItemWithRetry(entry, {
+                        item, dir: playlistDir, index, total: entries.length, manifest, format, playlistFields,
+                        isPlaylist: Boolean(info.entries), splitChapters: Boolean(item.splitChapters), cookies, signal
+                    });
+                }).then(result => {
+                    if (result && !result.chapters && !result.linked && !result.skipped) {
+                        this.library.add(entry.id, result.file, {
+                            title: result.metadata.title,
+                            artist: result.metadata.artist,
+                            duration: result.duration || entry.duration || null
+                        });
+                        this.library.save();
+                    }
+                    if (result && !result.skipped) {
+                        manifestStore.recordEntry(manifest, entry.id, {
+                            file: path.relative(playlistDir, result.file),
+                            title: result.metadata.title,
+                            artist: result.metadata.artist,
+                            duration: result.duration || entry.duration || null,
+                            chapters: result.chapters ? result.chapters.map(chapter => ({
+                                ...chapter,
+                                file: path.relative(playlistDir, chapter.file)
+                            })) : undefined,
+                            linked: result.linked || undefined,
+                            loudness: result.loudness || undefined,
+                            // A new file has no album gain tag yet; updateAlbumGain writes it
+                            albumGain: undefined,
+                            index
+                        });
+                        manifestStore.saveManifest(playlistDir, manifest);
+                    }
+                    if (signal.aborted) return;
+                    if (!result) failed.add(entry.id);
+                    this.progress.completed++;
+                    this.emit('download-progress', { ...this.progress });
+                });
             });
 
             await Promise.all(tasks);
+            if (this.loudnessMode === 'replaygain' && !signal.aborted) {
+                await this.updateAlbumGain(manifest, playlistDir, signal);
+            }
+            manifestStore.saveManifest(playlistDir, manifest);
+            this.writePlaylistFile(manifest, playlistDir, entries, failed);
 
         } catch (err) {
-            this.log(`Erro ao processar playlist: ${err.message}`);
+            if (err.name === 'AbortError') return;
+            const error = classifyError(err);
+            this.log('log.playlistError', { error: err.message });
+            this.report.add('failed', {
+                itemId: item.id,
+                playlist: null,
+                videoId: null,
+                title: url || item.title,
+                url,
+                reason: { key: 'report.playlistError', params: { error: failureReason(error) } },
+                errorType: error.type,
+                lastError: err.message,
+                source: this.reportSource(item)
+            });
         }
     }
 
-    async downloadItemWithRetry(entry, dir, index, total) {
-        const title = entry.title || "Desconhecido";
-        const url = entry.url || `https://www.youtube.com/watch?v=${entry.id}`;
+    // Album ReplayGain over every track in the playlist folder; rewrites the files whose album gain changed
+    async updateAlbumGain(manifest, playlistDir, signal) {
+        const tracks = [];
+        for (const entry of Object.values(manifest.entries)) {
+            if (entry.linked) continue;
+            for (const track of entry.chapters || [entry]) {
+                if (track.loudness && fs.existsSync(path.join(playlistDir, track.file))) tracks.push(track);
+            }
+        }
 
-        // Retry strategies (mimicking the Python logic)
-        // Note: yt-dlp-exec uses system yt-dlp usually, or local. 
-        // We will pass simplified args.
+        const album = albumMeasurement(tracks);
+        if (!album) return;
 
-        const maxRetries = 3;
-        let success = false;
+        const replayGainAlbum = buildReplayGainTags({ album });
+        const outdated = tracks.filter(track => track.albumGain !== replayGainAlbum.REPLAYGAIN_ALBUM_GAIN);
+        if (outdated.length === 0) return;
 
-        for (let i = 0; i < maxRetries; i++) {
-            if (success) break;
-            try {
-                if (i > 0) this.log(`[Tentativa ${i}] ${title}`);
-                else this.log(`Processando: ${title}`);
+        this.setStatus('status.albumGain');
+        // Rewritten files are built in the staging area and renamed over the old ones
+        const workDir = staging.prepareStaging(playlistDir, ALBUM_GAIN_STAGING);
+        try {
+            for (const track of outdated) {
+                try {
+                    const replayGain = buildReplayGainTags({ track: track.loudness, album });
+                    await writeReplayGainTags(path.join(playlistDir, track.file), replayGain, { signal, workDir });
+                    track.albumGain = replayGainAlbum.REPLAYGAIN_ALBUM_GAIN;
+                } catch (e) {
+                    if (e.name === 'AbortError') return;
+                    this.log('log.replayGainWriteError', { file: track.file, error: e.message.split('\n')[0] });
+                }
+            }
+        } finally {
+            this.discardStaging(playlistDir, ALBUM_GAIN_STAGING);
+        }
+        this.log('log.albumReplayGain', { gain: replayGainAlbum.REPLAYGAIN_ALBUM_GAIN, count: tracks.length });
+    }
+
+    // Existing file for the entry when the duplicate policy reuses it: the playlist's own copy
+    // (or link) from an earlier run first, then a library file in another folder
+    findDuplicate(entry, playlistDir, format, item, manifest) {
+        if (this.duplicatePolicy === 'download' || item.splitChapters) return null;
+        if (manifestStore.hasFile(manifest, playlistDir, entry.id)) {
+            const saved = manifest.entries[entry.id];
+            return { file: path.join(playlistDir, saved.file), title: saved.title, artist: saved.artist, inPlaylist: true };
+        }
+        return this.library.find(entry.id, { ext: getExtension(format), excludeDir: playlistDir });
+    }
+
+    // Applies the duplicate policy instead of downloading; returns a download-like result
+    reuseDuplicate(entry, existing, { item, dir, playlistFields }) {
+        // The title written to the library and the manifest stays a string
+        const title = existing.title || entry.title || t('metadata.unknown');
+        const shownTitle = existing.title || entry.title || UNKNOWN_TITLE;
+        const policy = this.duplicatePolicy;
+        const reportEntry = {
+            itemId: item.id,
+            playlist: playlistFields.playlist,
+            videoId: entry.id,
+            title: shownTitle,
+            url: entry.url
+        };
+
+        if (existing.inPlaylist) {
+            this.log('log.alreadyInPlaylist', { title: shownTitle });
+            this.report.add('skipped', { ...reportEntry, file: existing.file, reason: { key: 'report.alreadyDownloaded' } });
+            return { skipped: true };
+        }
+
+        if (policy === 'skip') {
+            this.log('log.duplicateSkipped', { title: shownTitle, file: existing.file });
+            this.report.add('skipped', { ...reportEntry, file: existing.file, reason: { key: 'report.inLibrary' } });
+            return { skipped: true };
+        }
+
+        const result = {
+            file: existing.file,
+            metadata: { title, artist: existing.artist },
+            duration: existing.duration || entry.duration || null
+        };
 
-                await this.downloadSingle(url, dir, entry.id);
-                success = true;
+        if (policy === 'm3u') {
+            // Only the playlist file points to the existing copy
+            this.log('log.duplicateReferenced', { title: shownTitle });
+            result.linked = true;
+        } else {
+            let target = path.join(dir, path.basename(existing.file));
+            if (fs.existsSync(target)) {
+                const ext = path.extname(target);
+                target = `${target.slice(0, -ext.length)}_${entry.id}${ext}`;
+            }
+            let method = 'copy';
+            try {
+                if (policy === 'hardlink') method = linkOrCopy(existing.file, target);
+                else fs.copyFileSync(existing.file, target);
             } catch (e) {
-                this.log(`Falha na tentativa ${i + 1} para ${title}: ${e.message.split('\n')[0]}`);
-                await new Promise(r => setTimeout(r, 1000));
+                // Fails this track only; the rest of the playlist goes on
+                const error = classifyError(e);
+                this.log('log.duplicateReuseError', { title: shownTitle, error: e.message });
+                this.report.add('failed', {
+                    ...reportEntry,
+                    reason: failureReason(error),
+                    errorType: error.type,
+                    lastError: e.message,
+                    source: this.reportSource(item)
+                });
+                return null;
             }
+            this.log(method === 'hardlink' ? 'log.duplicateLinked' : 'log.duplicateCopied', { title: shownTitle });
+
+            result.file = target;
+            this.library.add(entry.id, target, { title, artist: existing.artist, duration: result.duration });
+            this.library.save();
         }
 
-        if (!success) {
-            this.log(`FALHA PERMANENTE: ${title}`);
+        this.report.add('skipped', { ...reportEntry, file: result.file, reason: { key: 'report.inLibraryPolicy', params: { policy } } });
+        return result;
+    }
+
+    // Writes the .m3u8 in source order: downloaded tracks with #EXTINF lines, failures marked
+    writePlaylistFile(manifest, playlistDir, entries, failed) {
+        const tracks = [];
+        for (const entry of entries) {
+            if (manifestStore.hasFile(manifest, playlistDir, entry.id)) {
+                const saved = manifest.entries[entry.id];
+                if (saved.chapters) {
+                    // Split albums: one line per chapter file
+                    saved.chapters.forEach(chapter => tracks.push({ ...chapter, artist: saved.artist }));
+                    continue;
+                }
+                tracks.push({
+                    file: saved.file,
+                    duration: saved.duration || entry.duration,
+                    artist: saved.artist,
+                    title: saved.title || entry.title
+                });
+            } else if (failed.has(entry.id)) {
+                tracks.push({
+                    failed: true,
+                    title: entry.title,
+                    url: entry.url || `https://www.youtube.com/watch?v=${entry.id}`
+                });
+            }
+        }
+
+        try {
+            manifest.playlistFile = writePlaylistFile(playlistDir, manifest.title, tracks, manifest.playlistFile);
+            manifestStore.saveManifest(playlistDir, manifest);
+        } catch (e) {
+            this.log('log.m3uWriteError', { error: e.message });
+        }
+    }
+
+    // Compares the source entries with the manifest: returns only the entries that still
+    // need downloading, reports the ones that disappeared and optionally moves them away.
+    syncWithManifest(manifest, playlistDir, entries) {
+        const sourceIds = new Set(entries.map(e => e.id));
+        const pending = [];
+        let restored = 0;
+
+        entries.forEach((entry, index) => {
+            if (manifestStore.hasFile(manifest, playlistDir, entry.id)) {
+                manifest.entries[entry.id].index = index;
+                return;
+            }
+            if (manifestStore.restoreFromRemoved(manifest, playlistDir, entry.id)) {
+                manifest.entries[entry.id].index = index;
+                restored++;
+                return;
+            }
+            pending.push(entry);
+        });
+
+        const removedIds = Object.keys(manifest.entries).filter(id => !sourceIds.has(id));
+        for (const id of removedIds) {
+            const entry = manifest.entries[id];
+            this.log('log.removedFromSource', { title: entry.title || id, file: entry.file });
+            if (this.moveRemoved) {
+                try {
+                    manifestStore.moveToRemoved(manifest, playlistDir, id);
+                } catch (e) {
+                    this.log('log.moveFileError', { file: entry.file, error: e.message });
+                }
+            }
         }
+
+        this.log('log.syncSummary', {
+            pending: pending.length,
+            downloaded: entries.length - pending.length - restored,
+            restored,
+            removed: removedIds.length
+        });
+        return pending;
     }
 
-    async downloadSingle(url, dir, videoId) {
-        // Prepare filename template
-        const outputTemplate = path.join(dir, `${videoId}_temp.%(ext)s`);
+    // Per-track progress events for the renderer, throttled while the phase doesn't change
+    createProgressReporter(item, entry) {
+        const title = entry.title || UNKNOWN_TITLE;
+        let lastPhase = null;
+        let lastSent = 0;
+
+        return (progress) => {
+            const now = Date.now();
+            if (progress.phase === lastPhase && now - lastSent < 250) return;
+            lastPhase = progress.phase;
+            lastSent = now;
+
+            this.emit('item-progress', {
+                itemId: item.id,
+                videoId: entry.id,
+                title,
+                ...progress
+            });
+        };
+    }
 
-        // Check for cookies file in multiple locations
-        const possiblePaths = [
-            path.join(process.cwd(), 'cookies.txt'),
-            path.join(path.dirname(process.execPath), 'cookies.txt'),
-            path.join(this.baseDownloadDir, '..', 'cookies.txt')
-        ];
+    // Pauses every worker after an HTTP 429; workers that hit it during the same pause don't extend it
+    pauseForRateLimit() {
+        const now = Date.now();
+        if (now < this.rateLimit.until) return;
+
+        const seconds = rateLimitDelay(this.rateLimit.strikes++);
+        this.rateLimit.until = now + seconds * 1000;
+        this.log('log.rateLimited', { seconds });
+        this.setStatus('status.rateLimited', { seconds });
+    }
+
+    waitForRateLimit(signal) {
+        const wait = this.rateLimit.until - Date.now();
+        return wait > 0 ? delay(wait, signal) : Promise.resolve();
+    }
 
-        let useCookies = null;
-        for (const p of possiblePaths) {
-            if (fs.existsSync(p)) {
-                useCookies = p;
-                break;
+    // Spaces out the yt-dlp runs of all workers by the request interval; each call books the next slot
+    waitForRequestSlot(signal) {
+        const now = Date.now();
+        const slot = Math.max(now, this.nextRequestAt);
+        this.nextRequestAt = slot + this.requestInterval * 1000;
+        return slot > now ? delay(slot - now, signal) : Promise.resolve();
+    }
+
+    // yt-dlp's --limit-rate applies per process, so the pool-wide limit is split between the workers
+    perDownloadRateLimit() {
+        if (!this.downloadRateLimit) return null;
+        return `${Math.max(1, Math.floor(this.downloadRateLimit / this.maxConcurrency))}K`;
+    }
+
+    // Age-restricted videos need the cookies of a logged-in account; asks once per run
+    requestCookies(title, url, cookies) {
+        if (this.cookiesPrompted || cookies) return;
+        this.cookiesPrompted = true;
+        this.emit('cookies-required', { title, url });
+    }
+
+    async downloadItemWithRetry(entry, {
+        item, dir, index, total, manifest, format, playlistFields, isPlaylist, splitChapters, cookies, signal
+    }) {
+        const title = entry.title || UNKNOWN_TITLE;
+        const url = entry.url || `https://www.youtube.com/watch?v=${entry.id}`;
+        const onProgress = this.createProgressReporter(item, entry);
+
+        // Permanent errors fail at once; rate limits pause the pool without using up attempts;
+        // anything else is retried with exponential backoff
+        const maxRetries = this.maxRetries;
+        const previous = manifest && manifest.entries[entry.id];
+        const previousPath = previous ? path.join(dir, previous.file) : null;
+        let result = null;
+        let lastError = null;
+        let attempt = 0;
+        let rateLimitRetries = 0;
+        this.setStaged(item, entry.id, true);
+
+        while (!result && attempt < maxRetries && !(signal && signal.aborted)) {
+            try {
+                await this.waitForRateLimit(signal);
+                if (signal && signal.aborted) break;
+                if (attempt > 0 || rateLimitRetries > 0) this.log('log.retryAttempt', { attempt: attempt + rateLimitRetries + 1, title });
+                else this.log('log.processing', { title });
+
+                onProgress({ phase: 'downloading', percent: 0 });
+                result = await this.downloadSingle(url, dir, entry.id, {
+                    format,
+                    fields: { ...playlistFields, index: index + 1 },
+                    metadataContext: { playlistTitle: playlistFields.playlist, index: index + 1, total, isPlaylist, url },
+                    splitChapters,
+                    previousPath,
+                    cookies,
+                    signal,
+                    onProgress
+                });
+                this.rateLimit.strikes = 0;
+            } catch (e) {
+                if (signal && signal.aborted) break;
+                lastError = e;
+
+                const error = classifyError(e);
+                this.log('log.attemptFailed', { title, error: failureReason(error) });
+
+                if (error.type === 'age-restricted') this.requestCookies(title, url, cookies);
+                if (error.permanent) break;
+
+                if (error.type === 'rate-limited') {
+                    if (++rateLimitRetries > MAX_RATE_LIMIT_RETRIES) break;
+                    this.pauseForRateLimit();
+                    continue;
+                }
+
+                attempt++;
+                if (attempt < maxRetries) await delay(retryDelay(attempt - 1, this.retryDelay) * 1000, signal);
             }
         }
 
-        // Simplified strategies for speed (try most likely to work first)
-        const strategies = [
-            { client: 'android', format: 'bestaudio/best' },
-            { client: 'web', format: 'bestaudio/best' }
-        ];
+        if (!result && signal && signal.aborted) {
+            onProgress({ phase: 'cancelled' });
+            return null;
+        }
 
-        let success = false;
+        const reportEntry = {
+            itemId: item.id,
+            playlist: playlistFields.playlist,
+            videoId: entry.id,
+            title,
+            url
+        };
+
+        // A failed track starts over next time; a paused one keeps its partial download
+        if (!result) this.discardStaging(dir, entry.id);
+        this.setStaged(item, entry.id, false);
+
+        if (result) {
+            this.log('log.trackTimings', { title, timings: describeTimings(result.timings) });
+            this.report.add('succeeded', { ...reportEntry, file: result.file, timings: result.timings });
+        } else {
+            this.log('log.permanentFailure', { title });
+            const error = classifyError(lastError);
+            this.report.add('failed', {
+                ...reportEntry,
+                reason: failureReason(error),
+                errorType: error.type,
+                lastError: lastError ? lastError.message : null,
+                source: this.reportSource(item)
+            });
+        }
+        onProgress({ phase: result ? 'done' : 'failed' });
+        return result;
+    }
+
+    async downloadSingle(url, dir, videoId, {
+        format = null, fields = {}, metadataContext = {}, splitChapters = false, previousPath = null, cookies = null, signal = null, onProgress = null
+    } = {}) {
+        format = normalizeFormat(format);
+        const timer = createPhaseTimer();
+
+        // Everything until the final rename happens in the video's staging folder
+        const stageDir = staging.prepareStaging(dir, videoId);
+        const outputTemplate = path.join(stageDir, `${videoId}.%(ext)s`);
+
+        // Player clients in the configured order (most likely to work first)
+        const strategies = this.clientStrategies.map(client => ({ client }));
+
+        // One yt-dlp run gives the media, the cover (already converted to JPEG) and the info JSON
+        let videoInfo = null;
         let lastError = null;
 
-        for (let i = 0; i < strategies.length && !success; i++) {
+        for (let i = 0; i < strategies.length && !videoInfo; i++) {
             const strategy = strategies[i];
             try {
-                await ytDlpDownload(url, {
-                    format: strategy.format,
+                await this.waitForRequestSlot(signal);
+                videoInfo = await ytDlpDownload(url, {
+                    ...getDownloadOptions(format, { audioQuality: this.audioQuality }),
                     output: outputTemplate,
-                    extractAudio: true,
-                    audioFormat: 'mp3',
-                    audioQuality: '320K',
                     writeThumbnail: true,
+                    convertThumbnails: 'jpg',
                     noWarnings: true,
-                    cookies: useCookies,
-                    client: strategy.client
+                    ...(cookies && cookies.options),
+                    client: strategy.client,
+                    limitRate: this.perDownloadRateLimit(),
+                    signal,
+                    onProgress
                 });
-                success = true;
             } catch (e) {
+                if (e.name === 'AbortError') throw e;
                 lastError = e;
+                // Only extractor-level failures depend on the player client
+                const { type, permanent } = classifyError(e);
+                if (permanent || type === 'rate-limited' || type === 'network') break;
             }
         }
 
-        if (!success) {
+        if (!videoInfo) {
             throw lastError || new Error('All download strategies failed');
         }
+        timer.lap('download');
 
-        // Now find the file
-        const mp3Path = path.join(dir, `${videoId}_temp.mp3`);
-
-        if (!fs.existsSync(mp3Path)) {
-            throw new Error("Arquivo baixado não encontrado");
+        // yt-dlp may keep the source container if the merge format differs, so its own path is used
+        const mediaPath = videoInfo.filepath || (videoInfo.requested_downloads || []).map(d => d.filepath).find(Boolean);
+        if (!mediaPath || !fs.existsSync(mediaPath)) {
+            throw new Error(t('errors.downloadedFileNotFound'));
         }
+        const mediaExt = path.extname(mediaPath).slice(1);
 
-        // Find Thumbnail
-        // yt-dlp might save as .webp or .jpg.
-        const files = fs.readdirSync(dir);
-        let thumbPath = files.find(f => f.startsWith(`${videoId}_temp`) && !f.endsWith('.mp3'));
+        if (onProgress) onProgress({ phase: 'tagging' });
 
+        const thumbnail = (videoInfo.thumbnails || []).find(thumb => thumb.filepath && fs.existsSync(thumb.filepath));
         let thumbBuffer = null;
-        if (thumbPath) {
-            const fullThumbPath = path.join(dir, thumbPath);
+        if (thumbnail) {
             try {
-                thumbBuffer = await this.processThumbnail(fullThumbPath);
+                thumbBuffer = await this.processThumbnail(thumbnail.filepath, { signal });
             } catch (e) {
-                this.log(`Erro de thumbnail: ${e.message}`);
+                if (e.name === 'AbortError') throw e;
+                this.log('log.thumbnailError', { error: e.message });
             }
         }
+        timer.lap('cover');
+
+        // Artist/title parsing, album, track number, year and source URL
+        // The video ID is tagged too, so the library index can be rebuilt from the files
+        const metadata = { ...buildMetadata(videoInfo, metadataContext, this.metadataRules), videoId };
+        this.log('log.metadata', { metadata: describeMetadata(metadata) });
+        if (onProgress) onProgress({ phase: 'tagging', metadata });
+
+        // Rename using the file template (may contain subfolders)
+        const relativePath = filenameTemplate.renderFile(this.fileTemplate, {
+            ...fields,
+            title: metadata.title,
+            artist: metadata.artist,
+            album: metadata.album,
+            upload_date: videoInfo.upload_date || null,
+            year: metadata.year,
+            id: videoId,
+            ext: mediaExt
+        });
+        let finalPath = path.join(dir, relativePath);
+
+        // Full-album uploads: one file per chapter, in a folder named like the single file would be
+        if (splitChapters) {
+            const chapters = isAudio(format) ? getChapters(videoInfo) : [];
+            if (chapters.length > 1) {
+                const chapterDir = previousPath && fs.existsSync(previousPath) && fs.statSync(previousPath).isDirectory()
+                    ? previousPath
+                    : finalPath.slice(0, -(mediaExt.length + 1));
+                const pieces = await this.splitIntoChapters(mediaPath, chapterDir, chapters, {
+                    metadata, thumbBuffer, format: { ...format, type: mediaExt }, signal, onProgress
+                });
+                timer.lap('chapters');
+                this.discardStaging(dir, videoId);
+                return { file: chapterDir, metadata, duration: videoInfo.duration || null, chapters: pieces, timings: timer.timings };
+            }
+            this.log('log.noChapters', { title: metadata.title });
+        }
 
-        // Get info for metadata (we need specific title/artist for tagging)
-        // We can just use what we have or re-fetch? 
-        // To save time, we can assume entry.title is accurate or ask yt-dlp for JSON.
-        // Let's rely on standard ID3 reading or just use 'Unknown' if we want speed,
-        // BUT strict requirement was "Renaming files to {Song Name}.mp3".
-        // We need the ACTUAL title from the file or info.
+        // Collision check (a re-download of the same video replaces its previous file)
+        if (previousPath && fs.existsSync(previousPath) && path.extname(previousPath) === `.${mediaExt}`) {
+            finalPath = previousPath;
+        } else if (fs.existsSync(finalPath)) {
+            finalPath = finalPath.slice(0, -(mediaExt.length + 1)) + `_${videoId}.${mediaExt}`;
+        }
 
-        // Let's probe the file or just trust the earlier info?
-        // Better: allow yt-dlp to set filename? No, we need strict control.
+        const result = { file: finalPath, metadata, duration: videoInfo.duration || null, timings: timer.timings };
 
-        // We can fetch info again quickly or assume the initial playlist fetch had it. 
-        // Note: 'dump-single-json' on playlist gives minimal info.
+        // Tagging (ID3 for MP3, native container tags for the other formats)
+        if (!FORMATS[mediaExt]) {
+            this.log('log.tagsUnsupported', { file: path.basename(finalPath) });
+        } else {
+            const tagFormat = { ...format, type: mediaExt };
+            result.loudness = await this.applyLoudness(mediaPath, tagFormat, { duration: result.duration, signal, onProgress });
+            if (result.loudness) timer.lap('loudness');
 
-        // Let's use ffprobe or just node-id3 to read what yt-dlp might have written? 
-        // No, we disabled addMetadata.
+            try {
+                const tags = result.loudness ? { ...metadata, replayGain: buildReplayGainTags({ track: result.loudness }) } : metadata;
+                await writeTags(mediaPath, tagFormat, tags, thumbBuffer, { signal });
+            } catch (e) {
+                if (e.name === 'AbortError') throw e;
+                this.log('log.tagWriteError', { file: path.basename(finalPath), error: e.message.split('\n')[0] });
+            }
+            timer.lap('tags');
+        }
 
-        // Let's fetch the specific video info quickly to get clean Title/Artist
-        // OR rely on the playlist 'entry' title.
-        // Let's use the playlist entry title for now, but clean it.
+        // Only the finished file reaches the playlist folder
+        staging.moveIntoPlace(mediaPath, finalPath);
+        this.discardStaging(dir, videoId);
+        return result;
+    }
 
-        // Refetch info for high accuracy metadata
-        let videoTitle = "Desconhecido";
-        let videoArtist = "Desconhecido";
+    // Silence trimming and loudness normalization/measurement of a converted audio file, before tagging.
+    // Returns the measurement for ReplayGain tags, or null. Errors keep the file as it is.
+    async applyLoudness(filePath, format, { duration = null, signal = null, onProgress = null } = {}) {
+        if ((this.loudnessMode === 'off' && !this.trimSilence) || !isAudio(format)) return null;
 
+        if (onProgress) onProgress({ phase: 'normalizing' });
         try {
-            const videoInfo = await ytDlpJson(url, { noWarnings: true });
-            videoTitle = videoInfo.title;
-            videoArtist = videoInfo.uploader;
+            return await processLoudness(filePath, {
+                mode: this.loudnessMode,
+                target: this.loudnessTarget,
+                trimSilence: this.trimSilence,
+                duration,
+                format
+            }, { signal });
         } catch (e) {
-            // Fallback
+            if (e.name === 'AbortError') throw e;
+            this.log('log.loudnessError', { file: path.basename(filePath), error: e.message.split('\n')[0] });
+            return null;
         }
+    }
 
-        // Rename
-        const safeFilename = videoTitle.replace(/[^a-zA-Z0-9 \.\\_\\-]/g, "").trim();
-        let finalPath = path.join(dir, `${safeFilename}.mp3`);
+    // Cuts the downloaded file into one tagged file per chapter, next to it in the staging folder,
+    // then moves the finished pieces into the chapter folder.
+    // Every piece gets the chapter title, its track number, the video title as album and the same cover.
+    async splitIntoChapters(mediaPath, chapterDir, chapters, { metadata, thumbBuffer, format, signal, onProgress }) {
+        const ext = path.extname(mediaPath).slice(1);
+        const total = chapters.length;
+        const pieces = [];
+
+        this.log('log.splittingChapters', { title: metadata.title, count: total });
+
+        for (let i = 0; i < total; i++) {
+            const chapter = chapters[i];
+            if (onProgress) onProgress({ phase: 'splitting', percent: (i / total) * 100 });
+
+            const name = filenameTemplate.sanitizeSegment(
+                `${String(i + 1).padStart(2, '0')} - ${chapter.title}.${ext}`,
+                { keepExtension: true }
+            );
+            const piecePath = path.join(path.dirname(mediaPath), name);
+            await extractChapter(mediaPath, chapter, piecePath, { signal });
+
+            const duration = chapter.end ? chapter.end - chapter.start : null;
+            const loudness = await this.applyLoudness(piecePath, format, { duration, signal });
+
+            const tags = {
+                ...metadata,
+                title: chapter.title,
+                album: metadata.title,
+                trackNumber: i + 1,
+                totalTracks: total,
+                replayGain: loudness ? buildReplayGainTags({ track: loudness }) : undefined
+            };
+            try {
+                await writeTags(piecePath, format, tags, thumbBuffer, { signal });
+            } catch (e) {
+                if (e.name === 'AbortError') throw e;
+                this.log('log.tagWriteError', { file: name, error: e.message.split('\n')[0] });
+            }
 
-        // Collision check
-        if (fs.existsSync(finalPath)) {
-            finalPath = path.join(dir, `${safeFilename}_${videoId}.mp3`);
+            pieces.push({
+                file: piecePath,
+                title: chapter.title,
+                duration,
+                loudness: loudness || undefined
+            });
         }
 
-        fs.renameSync(mp3Path, finalPath);
-
-        // Tagging
-        const tags = {
-            title: videoTitle,
-            artist: videoArtist,
-            image: thumbBuffer ? {
-                mime: "image/jpeg",
-                type: { id: 3, name: "front cover" },
-                description: "Cover",
-                imageBuffer: thumbBuffer
-            } : undefined
-        };
-
-        nodeID3.write(tags, finalPath);
+        for (const piece of pieces) {
+            const target = path.join(chapterDir, path.basename(piece.file));
+            staging.moveIntoPlace(piece.file, target);
+            piece.file = target;
+        }
+        return pieces;
     }
 
-    async processThumbnail(imagePath) {
-        const { execSync } = require('child_process');
-
-        // Convert to JPEG if needed (handles webp and other formats)
-        const jpegPath = imagePath.replace(/\.(webp|png)$/i, '.jpg');
-
-        if (imagePath !== jpegPath) {
-            // Use FFmpeg to convert to JPEG
-            execSync(`ffmpeg -i "${imagePath}" "${jpegPath}" -y`, { stdio: 'ignore' });
-            // Delete original if it still exists
-            if (fs.existsSync(imagePath)) {
-                fs.unlinkSync(imagePath);
+    // yt-dlp already converts covers to JPEG (--convert-thumbnails); anything else (webp when
+    // its conversion failed) goes through ffmpeg first, since Jimp doesn't read webp
+    async processThumbnail(imagePath, { signal } = {}) {
+        let jpegPath = imagePath;
+        if (!/\.jpe?g$/i.test(imagePath)) {
+            jpegPath = imagePath.replace(/\.\w+$/, '.jpg');
+            try {
+                await runFfmpeg(['-i', imagePath, jpegPath], { signal });
+            } finally {
+                if (fs.existsSync(imagePath)) fs.unlinkSync(imagePath);
             }
         }
 
-        // Crop to 720x720 center using Jimp
-        const image = await Jimp.read(jpegPath);
-        const width = image.width;
-        const height = image.height;
-
-        // Center crop to square
-        const size = Math.min(width, height);
-        const x = Math.floor((width - size) / 2);
-        const y = Math.floor((height - size) / 2);
-
-        image.crop({ x, y, w: size, h: size });
-        image.resize({ w: 720, h: 720 });
+        try {
+            // Center crop to the configured cover size using Jimp
+            const image = await Jimp.read(jpegPath);
+            const width = image.width;
+            const height = image.height;
 
-        const buffer = await image.getBuffer('image/jpeg');
+            // Center crop to square
+            const size = Math.min(width, height);
+            const x = Math.floor((width - size) / 2);
+            const y = Math.floor((height - size) / 2);
 
-        // Cleanup
-        if (fs.existsSync(jpegPath)) fs.unlinkSync(jpegPath);
+            image.crop({ x, y, w: size, h: size });
+            image.resize({ w: this.coverSize, h: this.coverSize });
 
-        return buffer;
+            return await image.getBuffer('image/jpeg');
+        } finally {
+            // Cleanup
+            if (fs.existsSync(jpegPath)) fs.unlinkSync(jpegPath);
+        }
     }
 }
 
+QueueManager.EVENTS = EVENTS;
+
 module.exports = QueueManager;
@@ -1,36 +1,618 @@
 const urlInput = document.getElementById('urlInput');
 const addBtn = document.getElementById('addBtn');
+const formatSelect = document.getElementById('formatSelect');
+const bitrateSelect = document.getElementById('bitrateSelect');
+const resolutionSelect = document.getElementById('resolutionSelect');
+const bitrateOption = document.getElementById('bitrateOption');
+const resolutionOption = document.getElementById('resolutionOption');
+const chaptersOption = document.getElementById('chaptersOption');
+const splitChaptersCheck = document.getElementById('splitChaptersCheck');
+const previewModal = document.getElementById('previewModal');
+const previewTitle = document.getElementById('previewTitle');
+const previewKeywordInput = document.getElementById('previewKeywordInput');
+const previewMinDurationInput = document.getElementById('previewMinDurationInput');
+const previewMaxDurationInput = document.getElementById('previewMaxDurationInput');
+const previewRangeInput = document.getElementById('previewRangeInput');
+const previewRangeBtn = document.getElementById('previewRangeBtn');
+const previewNewestInput = document.getElementById('previewNewestInput');
+const previewNewestBtn = document.getElementById('previewNewestBtn');
+const previewAllBtn = document.getElementById('previewAllBtn');
+const previewNoneBtn = document.getElementById('previewNoneBtn');
+const previewList = document.getElementById('previewList');
+const previewCount = document.getElementById('previewCount');
+const previewCancelBtn = document.getElementById('previewCancelBtn');
+const previewAddBtn = document.getElementById('previewAddBtn');
+const importBtn = document.getElementById('importBtn');
+const importModal = document.getElementById('importModal');
+const importNameInput = document.getElementById('importNameInput');
+const importFileBtn = document.getElementById('importFileBtn');
+const importTextInput = document.getElementById('importTextInput');
+const importResolveBtn = document.getElementById('importResolveBtn');
+const importList = document.getElementById('importList');
+const importSummary = document.getElementById('importSummary');
+const importCloseBtn = document.getElementById('importCloseBtn');
+const importAddBtn = document.getElementById('importAddBtn');
+const editModal = document.getElementById('editModal');
+const editUrl = document.getElementById('editUrl');
+const editTitleInput = document.getElementById('editTitleInput');
+const editFormatSelect = document.getElementById('editFormatSelect');
+const editBitrateSelect = document.getElementById('editBitrateSelect');
+const editResolutionSelect = document.getElementById('editResolutionSelect');
+const editFolderInput = document.getElementById('editFolderInput');
+const editFolderBtn = document.getElementById('editFolderBtn');
+const editFolderResetBtn = document.getElementById('editFolderResetBtn');
+const editChaptersCheck = document.getElementById('editChaptersCheck');
+const editCookieProfileSelect = document.getElementById('editCookieProfileSelect');
+const editCancelBtn = document.getElementById('editCancelBtn');
+const editSaveBtn = document.getElementById('editSaveBtn');
 const startBtn = document.getElementById('startBtn');
+const pauseBtn = document.getElementById('pauseBtn');
+const resumeBtn = document.getElementById('resumeBtn');
+const cancelBtn = document.getElementById('cancelBtn');
 const folderBtn = document.getElementById('folderBtn');
 const chooseFolderBtn = document.getElementById('chooseFolderBtn');
 const currentFolder = document.getElementById('currentFolder');
+const folderTemplateInput = document.getElementById('folderTemplateInput');
+const fileTemplateInput = document.getElementById('fileTemplateInput');
+const saveTemplatesBtn = document.getElementById('saveTemplatesBtn');
+const templatePreview = document.getElementById('templatePreview');
+const ruleChecks = {
+    useYtDlpFields: document.getElementById('ruleYtDlpFields'),
+    parseArtistTitle: document.getElementById('ruleParseArtistTitle'),
+    stripJunk: document.getElementById('ruleStripJunk'),
+    cleanChannelName: document.getElementById('ruleCleanChannel'),
+    albumFromPlaylist: document.getElementById('ruleAlbumFromPlaylist')
+};
+const junkPatternsInput = document.getElementById('junkPatternsInput');
+const metadataSampleInput = document.getElementById('metadataSampleInput');
+const saveMetadataBtn = document.getElementById('saveMetadataBtn');
+const metadataPreview = document.getElementById('metadataPreview');
+const syncModeCheck = document.getElementById('syncModeCheck');
+const moveRemovedCheck = document.getElementById('moveRemovedCheck');
 const queueList = document.getElementById('queueList');
 const logArea = document.getElementById('logArea');
 const progressBar = document.getElementById('progressBar');
 const progressCount = document.getElementById('progressCount');
 const progressPercent = document.getElementById('progressPercent');
 const statusText = document.getElementById('statusText');
+const activeList = document.getElementById('activeList');
+const reportSummary = document.getElementById('reportSummary');
+const failedList = document.getElementById('failedList');
+const retryFailedBtn = document.getElementById('retryFailedBtn');
+const exportJsonBtn = document.getElementById('exportJsonBtn');
+const exportCsvBtn = document.getElementById('exportCsvBtn');
+const subscriptionUrlInput = document.getElementById('subscriptionUrlInput');
+const subscriptionIntervalSelect = document.getElementById('subscriptionIntervalSelect');
+const addSubscriptionBtn = document.getElementById('addSubscriptionBtn');
+const subscriptionFolderInput = document.getElementById('subscriptionFolderInput');
+const chooseSubscriptionFolderBtn = document.getElementById('chooseSubscriptionFolderBtn');
+const downloadExistingCheck = document.getElementById('downloadExistingCheck');
+const subscriptionList = document.getElementById('subscriptionList');
+const subscriptionSummary = document.getElementById('subscriptionSummary');
+const checkSubscriptionsBtn = document.getElementById('checkSubscriptionsBtn');
+const subscriptionCookieProfileSelect = document.getElementById('subscriptionCookieProfileSelect');
+const cookieProfileSelect = document.getElementById('cookieProfileSelect');
+const addCookieProfileSelect = document.getElementById('addCookieProfileSelect');
+const cookieProfileNameInput = document.getElementById('cookieProfileNameInput');
+const importCookiesBtn = document.getElementById('importCookiesBtn');
+const cookieBrowserSelect = document.getElementById('cookieBrowserSelect');
+const cookieBrowserProfileInput = document.getElementById('cookieBrowserProfileInput');
+const addBrowserProfileBtn = document.getElementById('addBrowserProfileBtn');
+const cookieProfileList = document.getElementById('cookieProfileList');
+const cookiesStatus = document.getElementById('cookiesStatus');
+const duplicatesSummary = document.getElementById('duplicatesSummary');
+const duplicatesList = document.getElementById('duplicatesList');
+const rebuildLibraryBtn = document.getElementById('rebuildLibraryBtn');
+const findDuplicatesBtn = document.getElementById('findDuplicatesBtn');
+const duplicatePolicySelect = document.getElementById('duplicatePolicySelect');
+const loudnessModeSelect = document.getElementById('loudnessModeSelect');
+const trimSilenceCheck = document.getElementById('trimSilenceCheck');
+const languageSelect = document.getElementById('languageSelect');
+const settingsInputs = {
+    maxConcurrency: document.getElementById('maxConcurrencyInput'),
+    maxRetries: document.getElementById('maxRetriesInput'),
+    retryDelay: document.getElementById('retryDelayInput'),
+    downloadRateLimit: document.getElementById('downloadRateLimitInput'),
+    requestInterval: document.getElementById('requestIntervalInput'),
+    coverSize: document.getElementById('coverSizeInput'),
+    loudnessTarget: document.getElementById('loudnessTargetInput')
+};
+const clientStrategiesInput = document.getElementById('clientStrategiesInput');
+const audioQualitySelect = document.getElementById('audioQualitySelect');
+const cookiesFileInput = document.getElementById('cookiesFileInput');
+const chooseCookiesBtn = document.getElementById('chooseCookiesBtn');
+const cookieSearchCheck = document.getElementById('cookieSearchCheck');
+const clientsHelp = document.getElementById('clientsHelp');
+const saveSettingsBtn = document.getElementById('saveSettingsBtn');
+const apiEnabledCheck = document.getElementById('apiEnabledCheck');
+const apiPortInput = document.getElementById('apiPortInput');
+const apiTokenInput = document.getElementById('apiTokenInput');
+const saveApiBtn = document.getElementById('saveApiBtn');
+const regenerateTokenBtn = document.getElementById('regenerateTokenBtn');
+const apiStatus = document.getElementById('apiStatus');
+
+// Translations (see i18n.js); static text is marked with data-i18n / data-i18n-placeholder in index.html
+const { t, translate } = window.i18n;
+
+// Text set from a message key is kept on the element, so a language change can translate it again
+function setText(element, key, params = {}) {
+    element.dataset.i18n = key;
+    element.dataset.i18nParams = JSON.stringify(params);
+    element.textContent = t(key, params);
+}
+
+function translatePage() {
+    document.documentElement.lang = window.i18n.getLanguage();
+    for (const element of document.querySelectorAll('[data-i18n]')) {
+        const params = element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+        element.textContent = t(element.dataset.i18n, params);
+    }
+    for (const element of document.querySelectorAll('[data-i18n-placeholder]')) {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    }
+}
+
+// Option whose label is the message "<prefix>.<value>"
+function translatedOption(value, prefix) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.dataset.i18n = `${prefix}.${value}`;
+    option.textContent = t(option.dataset.i18n);
+    return option;
+}
+
+// Last data each list was rendered with, to render it again after a language change
+const shown = { queue: [], report: null, subscriptions: [], duplicates: null, cookies: null };
 
 // Helpers
-function log(msg) {
+// Log lines are kept as { time, key, params } so the whole log can be shown again in another language
+const logEntries = [];
+
+function appendLogLine({ time, key, params }) {
     const div = document.createElement('div');
-    div.textContent = `[${new Date().toLocaleTimeString()}] ${msg}`;
+    div.textContent = `[${time.toLocaleTimeString()}] ${t(key, params)}`;
     logArea.appendChild(div);
+}
+
+function log(key, params = {}) {
+    const entry = { time: new Date(), key, params };
+    logEntries.push(entry);
+    appendLogLine(entry);
+    logArea.scrollTop = logArea.scrollHeight;
+}
+
+function renderLog() {
+    logArea.innerHTML = '';
+    logEntries.forEach(appendLogLine);
     logArea.scrollTop = logArea.scrollHeight;
 }
 
+// Output format
+const VIDEO_FORMATS = ['mp4', 'mkv'];
+
+// Queue item priorities, highest first (the worker pool serves higher ones first)
+const PRIORITIES = ['high', 'normal', 'low'];
+
+function getSelectedFormat() {
+    return {
+        type: formatSelect.value,
+        bitrate: bitrateSelect.value,
+        maxHeight: Number(resolutionSelect.value)
+    };
+}
+
+function describeFormat(format) {
+    if (!format) return '';
+    const label = formatSelect.querySelector(`option[value="${format.type}"]`);
+    const name = label ? label.textContent : format.type;
+    if (format.type === 'mp3') return `${name} ${format.bitrate.replace('K', 'kbps')}`;
+    if (VIDEO_FORMATS.includes(format.type)) return `${name} ${format.maxHeight}p`;
+    return name;
+}
+
+formatSelect.addEventListener('change', () => {
+    bitrateOption.hidden = formatSelect.value !== 'mp3';
+    resolutionOption.hidden = !VIDEO_FORMATS.includes(formatSelect.value);
+    // Chapter splitting only applies to audio formats
+    chaptersOption.hidden = VIDEO_FORMATS.includes(formatSelect.value);
+});
+
 // Event Listeners
 addBtn.addEventListener('click', async () => {
     const url = urlInput.value.trim();
     if (!url) return;
 
-    if (await window.api.addToQueue(url)) {
+    const options = {
+        format: getSelectedFormat(),
+        splitChapters: !chaptersOption.hidden && splitChaptersCheck.checked,
+        cookieProfile: addCookieProfileSelect.value || null
+    };
+
+    // Playlists open the track selection first; single videos go straight to the queue.
+    // The preview reads the playlist with the same cookies as the download (private and members-only lists)
+    addBtn.disabled = true;
+    const result = await window.api.previewPlaylist(url, options.cookieProfile);
+    addBtn.disabled = false;
+
+    if (!result.success) {
+        alert(t('ui.readUrlError', { error: result.error }));
+    } else if (result.preview.isPlaylist) {
+        openPreview(result.preview, options);
+    } else {
+        await queueUrl(url, options);
+    }
+});
+
+async function queueUrl(url, options) {
+    const result = await window.api.addToQueue(url, options);
+    if (result.success) {
         urlInput.value = '';
     } else {
-        alert('URL inválida ou erro ao adicionar à fila');
+        alert(t('ui.addError', { error: result.error }));
+    }
+}
+
+// Playlist preview: check the tracks to download before queueing
+let preview = null; // { url, title, entries, options, selected: Set of video IDs }
+
+function openPreview(data, options) {
+    preview = { ...data, options, selected: new Set(data.entries.map(e => e.id)) };
+    setText(previewTitle, 'ui.previewTitle', { title: data.title, count: data.entries.length });
+    for (const input of [previewKeywordInput, previewMinDurationInput, previewMaxDurationInput, previewRangeInput, previewNewestInput]) {
+        input.value = '';
+    }
+    previewModal.hidden = false;
+    renderPreview();
+}
+
+function closePreview() {
+    previewModal.hidden = true;
+    previewList.innerHTML = '';
+    preview = null;
+}
+
+function matchesPreviewFilters(entry) {
+    const keyword = previewKeywordInput.value.trim().toLowerCase();
+    const min = previewMinDurationInput.value === '' ? null : Number(previewMinDurationInput.value) * 60;
+    const max = previewMaxDurationInput.value === '' ? null : Number(previewMaxDurationInput.value) * 60;
+
+    if (keyword && !entry.title.toLowerCase().includes(keyword)) return false;
+    if (min !== null && (entry.duration || 0) < min) return false;
+    if (max !== null && entry.duration && entry.duration > max) return false;
+    return true;
+}
+
+function visiblePreviewEntries() {
+    return preview.entries.filter(matchesPreviewFilters);
+}
+
+// Checked entries that pass the filters: what "Add Selected" queues
+function selectedPreviewIds() {
+    return visiblePreviewEntries().filter(e => preview.selected.has(e.id)).map(e => e.id);
+}
+
+function renderPreview() {
+    previewList.innerHTML = '';
+    visiblePreviewEntries().forEach(entry => {
+        const li = document.createElement('li');
+        const label = document.createElement('label');
+
+        const check = document.createElement('input');
+        check.type = 'checkbox';
+        check.checked = preview.selected.has(entry.id);
+        check.addEventListener('change', () => {
+            if (check.checked) preview.selected.add(entry.id);
+            else preview.selected.delete(entry.id);
+            updatePreviewCount();
+        });
+
+        const thumb = document.createElement('img');
+        thumb.alt = '';
+        thumb.loading = 'lazy';
+        if (entry.thumbnail) thumb.src = entry.thumbnail;
+
+        const index = document.createElement('span');
+        index.className = 'preview-index';
+        index.textContent = `${entry.index}.`;
+
+        const title = document.createElement('span');
+        title.className = 'queue-item-label';
+        title.textContent = entry.title;
+
+        const duration = document.createElement('span');
+        duration.className = 'preview-duration';
+        duration.textContent = formatEta(entry.duration);
+
+        label.append(check, thumb, index, title, duration);
+        li.appendChild(label);
+        previewList.appendChild(li);
+    });
+    updatePreviewCount();
+}
+
+function updatePreviewCount() {
+    const count = selectedPreviewIds().length;
+    setText(previewCount, 'ui.previewCount', { count, total: preview.entries.length });
+    previewAddBtn.disabled = count === 0;
+}
+
+// "10-40, 45" -> Set of playlist positions (up to max), or null if the text is invalid
+function parseRanges(text, max) {
+    const positions = new Set();
+    for (const part of text.split(',').map(p => p.trim()).filter(Boolean)) {
+        const match = part.match(/^(\d+)\s*(?:[-–]\s*(\d+))?$/);
+        if (!match) return null;
+        const start = Number(match[1]);
+        const end = match[2] ? Number(match[2]) : start;
+        for (let i = Math.min(start, end); i <= Math.min(Math.max(start, end), max); i++) positions.add(i);
+    }
+    return positions;
+}
+
+// Newest by upload time when the site reports it, otherwise the end of the playlist
+function newestEntries(entries, count) {
+    if (entries.every(e => e.uploadedAt)) {
+        return [...entries].sort((a, b) => b.uploadedAt - a.uploadedAt).slice(0, count);
+    }
+    return entries.slice(-count);
+}
+
+previewRangeBtn.addEventListener('click', () => {
+    const positions = parseRanges(previewRangeInput.value, preview.entries.length);
+    if (!positions || positions.size === 0) {
+        alert(t('ui.invalidRange'));
+        return;
+    }
+    preview.selected = new Set(preview.entries.filter(e => positions.has(e.index)).map(e => e.id));
+    renderPreview();
+});
+
+previewNewestBtn.addEventListener('click', () => {
+    const count = Number(previewNewestInput.value);
+    if (!Number.isInteger(count) || count < 1) return;
+    preview.selected = new Set(newestEntries(visiblePreviewEntries(), count).map(e => e.id));
+    renderPreview();
+});
+
+previewAllBtn.addEventListener('click', () => {
+    visiblePreviewEntries().forEach(e => preview.selected.add(e.id));
+    renderPreview();
+});
+
+previewNoneBtn.addEventListener('click', () => {
+    visiblePreviewEntries().forEach(e => preview.selected.delete(e.id));
+    renderPreview();
+});
+
+for (const input of [previewKeywordInput, previewMinDurationInput, previewMaxDurationInput]) {
+    input.addEventListener('input', renderPreview);
+}
+
+previewAddBtn.addEventListener('click', async () => {
+    const ids = selectedPreviewIds();
+    // The whole playlist is queued as such, so sync mode and resuming see every entry
+    const entryIds = ids.length === preview.entries.length ? null : ids;
+    await queueUrl(preview.url, { ...preview.options, title: preview.title, entryIds });
+    closePreview();
+});
+
+previewCancelBtn.addEventListener('click', closePreview);
+
+// Bulk import: text or .txt/.csv files; rows without a URL are matched through a YouTube search
+let importRows = []; // resolved rows: { line, source, url, query, status, match, error, included }
+let importCsv = false;
+let importing = false;
+
+function openImport() {
+    importRows = [];
+    importCsv = false;
+    importNameInput.value = '';
+    importTextInput.value = '';
+    importSummary.textContent = '';
+    importModal.hidden = false;
+    renderImportRows();
+}
+
+function closeImport() {
+    if (importing) window.api.cancelImport();
+    importModal.hidden = true;
+    importList.innerHTML = '';
+}
+
+function describeImportRow(row) {
+    switch (row.status) {
+        case 'matched': {
+            const channel = row.match.channel ? ` · ${row.match.channel}` : '';
+            return `→ ${row.match.title}${channel} · ${formatEta(row.match.duration)}`;
+        }
+        case 'playlist':
+            return `→ ${t('ui.importPlaylistRow')}`;
+        case 'not-found':
+            return `→ ${t('ui.importNotFound')}`;
+        default:
+            return `→ ${row.error}`;
     }
+}
+
+function renderImportRows() {
+    importList.innerHTML = '';
+    importRows.forEach((row, i) => {
+        const li = document.createElement('li');
+        li.className = `import-row import-${row.status}`;
+
+        const check = document.createElement('input');
+        check.type = 'checkbox';
+        check.checked = row.included;
+        check.disabled = !['matched', 'playlist'].includes(row.status);
+        check.addEventListener('change', () => {
+            row.included = check.checked;
+            updateImportSummary();
+        });
+
+        const thumb = document.createElement('img');
+        thumb.alt = '';
+        thumb.loading = 'lazy';
+        if (row.match && row.match.thumbnail) thumb.src = row.match.thumbnail;
+
+        const text = document.createElement('div');
+        text.className = 'queue-item-label';
+        const source = document.createElement('div');
+        source.textContent = row.source;
+        const match = document.createElement('div');
+        match.className = 'import-match';
+        match.textContent = describeImportRow(row);
+        text.append(source, match);
+
+        // Correction: another search text or a URL for this row
+        const correction = document.createElement('input');
+        correction.type = 'text';
+        correction.className = 'import-correction';
+        correction.value = row.url || row.query || '';
+        const searchBtn = document.createElement('button');
+        searchBtn.className = 'icon-btn';
+        searchBtn.textContent = '↻';
+        searchBtn.title = t('ui.searchAgain');
+        searchBtn.addEventListener('click', async () => {
+            searchBtn.disabled = true;
+            const resolved = await window.api.resolveImportRow(correction.value);
+            importRows[i] = { ...resolved, line: row.line, source: row.source, included: ['matched', 'playlist'].includes(resolved.status) };
+            renderImportRows();
+        });
+
+        li.append(check, thumb, text, correction, searchBtn);
+        importList.appendChild(li);
+    });
+    updateImportSummary();
+}
+
+function updateImportSummary() {
+    if (importing) return;
+    const count = status => importRows.filter(r => r.status === status).length;
+    const included = importRows.filter(r => r.included).length;
+    importSummary.textContent = importRows.length === 0 ? '' : t('ui.importSummary', {
+        matched: count('matched'),
+        playlists: count('playlist'),
+        notFound: count('not-found') + count('error'),
+        included
+    });
+    importAddBtn.disabled = included === 0;
+}
+
+importBtn.addEventListener('click', openImport);
+
+importFileBtn.addEventListener('click', async () => {
+    const file = await window.api.openImportFile();
+    if (!file) return;
+    importTextInput.value = file.text;
+    importCsv = file.csv;
+    if (!importNameInput.value.trim()) importNameInput.value = file.name;
+});
+
+importResolveBtn.addEventListener('click', async () => {
+    importing = true;
+    importResolveBtn.disabled = true;
+    importAddBtn.disabled = true;
+    importSummary.textContent = t('ui.searching');
+
+    const result = await window.api.resolveImport(importTextInput.value, { csv: importCsv });
+    importing = false;
+    importResolveBtn.disabled = false;
+
+    if (!result.success) {
+        importSummary.textContent = result.error;
+        return;
+    }
+    importRows = result.rows.map(row => ({ ...row, included: ['matched', 'playlist'].includes(row.status) }));
+    renderImportRows();
+});
+
+window.api.onImportProgress(({ current, total }) => {
+    if (importing) importSummary.textContent = t('ui.searchingProgress', { current, total });
+});
+
+importAddBtn.addEventListener('click', async () => {
+    const options = {
+        format: getSelectedFormat(),
+        splitChapters: !chaptersOption.hidden && splitChaptersCheck.checked
+    };
+    const selected = importRows.filter(r => r.included);
+    const entries = selected.filter(r => r.status === 'matched').map(r => r.match);
+
+    if (entries.length > 0) {
+        const result = await window.api.queueImport(importNameInput.value.trim() || t('ui.importDefaultName'), entries, options);
+        if (!result.success) {
+            alert(result.error);
+            return;
+        }
+    }
+    for (const row of selected.filter(r => r.status === 'playlist')) {
+        await window.api.addToQueue(row.url, options);
+    }
+    closeImport();
+});
+
+importCloseBtn.addEventListener('click', closeImport);
+
+document.addEventListener('keydown', event => {
+    if (event.key !== 'Escape') return;
+    if (!previewModal.hidden) closePreview();
+    if (!editModal.hidden) closeEdit();
+    if (!importModal.hidden) closeImport();
+});
+
+// Editing a queue item that is not running
+let editingId = null;
+
+// Same choices as the format options above the queue
+editFormatSelect.innerHTML = formatSelect.innerHTML;
+editBitrateSelect.innerHTML = bitrateSelect.innerHTML;
+editResolutionSelect.innerHTML = resolutionSelect.innerHTML;
+
+function openEdit(item) {
+    editingId = item.id;
+    editUrl.textContent = item.url || '';
+    editTitleInput.value = item.title || '';
+    editFormatSelect.value = item.format.type;
+    editBitrateSelect.value = item.format.bitrate;
+    editResolutionSelect.value = String(item.format.maxHeight);
+    editFolderInput.value = item.downloadDir || '';
+    editChaptersCheck.checked = item.splitChapters;
+    fillCookieProfileSelect(editCookieProfileSelect, 'ui.cookiesDefaultOption', item.cookieProfile);
+    editModal.hidden = false;
+}
+
+function closeEdit() {
+    editModal.hidden = true;
+    editingId = null;
+}
+
+editFolderBtn.addEventListener('click', async () => {
+    const folder = await window.api.chooseDirectory();
+    if (folder) editFolderInput.value = folder;
+});
+
+editFolderResetBtn.addEventListener('click', () => {
+    editFolderInput.value = '';
+});
+
+editSaveBtn.addEventListener('click', async () => {
+    const saved = await window.api.updateItem(editingId, {
+        title: editTitleInput.value.trim(),
+        format: {
+            type: editFormatSelect.value,
+            bitrate: editBitrateSelect.value,
+            maxHeight: Number(editResolutionSelect.value)
+        },
+        splitChapters: !VIDEO_FORMATS.includes(editFormatSelect.value) && editChaptersCheck.checked,
+        downloadDir: editFolderInput.value,
+        cookieProfile: editCookieProfileSelect.value || null
+    });
+    if (!saved) alert(t('ui.editFailed'));
+    closeEdit();
 });
 
+editCancelBtn.addEventListener('click', closeEdit);
+
 startBtn.addEventListener('click', async () => {
     startBtn.disabled = true;
     addBtn.disabled = true;
@@ -43,6 +625,22 @@ startBtn.addEventListener('click', async () => {
     }
 });
 
+pauseBtn.addEventListener('click', () => {
+    window.api.pauseQueue();
+});
+
+resumeBtn.addEventListener('click', () => {
+    startBtn.disabled = true;
+    addBtn.disabled = true;
+    window.api.resumeQueue();
+});
+
+cancelBtn.addEventListener('click', () => {
+    if (confirm(t('ui.confirmCancelAll'))) {
+        window.api.cancelQueue();
+    }
+});
+
 folderBtn.addEventListener('click', () => {
     window.api.openDownloads();
 });
@@ -54,6 +652,544 @@ chooseFolderBtn.addEventListener('click', async () => {
     }
 });
 
+// Sync options
+async function saveSyncOptions() {
+    const options = await window.api.setSyncOptions({
+        syncMode: syncModeCheck.checked,
+        moveRemoved: moveRemovedCheck.checked
+    });
+    updateSyncDisplay(options);
+}
+
+function updateSyncDisplay({ syncMode, moveRemoved }) {
+    syncModeCheck.checked = syncMode;
+    moveRemovedCheck.checked = moveRemoved;
+    moveRemovedCheck.disabled = !syncMode;
+}
+
+syncModeCheck.addEventListener('change', saveSyncOptions);
+moveRemovedCheck.addEventListener('change', saveSyncOptions);
+
+// Filename templates with live preview
+function getTemplates() {
+    return {
+        folderTemplate: folderTemplateInput.value.trim(),
+        fileTemplate: fileTemplateInput.value.trim()
+    };
+}
+
+async function updateTemplatePreview() {
+    // Format values double as file extensions
+    const result = await window.api.previewTemplates({ ...getTemplates(), ext: formatSelect.value });
+    templatePreview.textContent = result.success ? result.path : result.errors.join('; ');
+    templatePreview.classList.toggle('error', !result.success);
+    saveTemplatesBtn.disabled = !result.success;
+}
+
+folderTemplateInput.addEventListener('input', updateTemplatePreview);
+fileTemplateInput.addEventListener('input', updateTemplatePreview);
+formatSelect.addEventListener('change', updateTemplatePreview);
+
+saveTemplatesBtn.addEventListener('click', async () => {
+    const result = await window.api.setTemplates(getTemplates());
+    if (result.success) {
+        log('log.templatesSaved');
+    } else {
+        alert(result.errors.join('\n'));
+    }
+});
+
+// Metadata rules with a parse preview
+function getMetadataRules() {
+    const rules = {};
+    for (const [key, check] of Object.entries(ruleChecks)) rules[key] = check.checked;
+    rules.junkPatterns = junkPatternsInput.value.split('\n').map(p => p.trim()).filter(Boolean);
+    return rules;
+}
+
+function showMetadataRules(rules) {
+    for (const [key, check] of Object.entries(ruleChecks)) check.checked = rules[key];
+    junkPatternsInput.value = rules.junkPatterns.join('\n');
+}
+
+async function updateMetadataPreview() {
+    const title = metadataSampleInput.value.trim() || t('ui.sampleVideoTitle');
+    metadataPreview.textContent = await window.api.previewMetadata({
+        title,
+        channel: t('ui.sampleChannel'),
+        rules: getMetadataRules()
+    });
+}
+
+Object.values(ruleChecks).forEach(check => check.addEventListener('change', updateMetadataPreview));
+junkPatternsInput.addEventListener('input', updateMetadataPreview);
+metadataSampleInput.addEventListener('input', updateMetadataPreview);
+
+saveMetadataBtn.addEventListener('click', async () => {
+    const result = await window.api.setMetadataRules(getMetadataRules());
+    if (result.success) {
+        log('log.metadataRulesSaved');
+    } else {
+        alert(result.errors.join('\n'));
+    }
+});
+
+// Subscriptions (watched playlists)
+function describeInterval(minutes) {
+    const option = subscriptionIntervalSelect.querySelector(`option[value="${minutes}"]`);
+    if (option) return option.textContent;
+    return minutes % 60 === 0 ? t('ui.everyHours', { hours: minutes / 60 }) : t('ui.everyMinutes', { minutes });
+}
+
+function renderSubscriptions(subscriptions) {
+    shown.subscriptions = subscriptions;
+    subscriptionList.innerHTML = '';
+    subscriptions.forEach(subscription => {
+        const li = document.createElement('li');
+        li.className = `queue-item${subscription.enabled ? '' : ' status-paused'}`;
+
+        const label = document.createElement('span');
+        label.className = 'queue-item-label';
+        label.textContent = subscription.title;
+        label.title = [subscription.url, subscription.downloadFolder].filter(Boolean).join('\n');
+
+        const status = document.createElement('span');
+        status.className = 'queue-item-status';
+        const checked = subscription.lastChecked
+            ? t('ui.subscriptionChecked', { date: new Date(subscription.lastChecked).toLocaleString(), added: subscription.lastAdded })
+            : t('ui.subscriptionNotChecked');
+        status.textContent = subscription.lastError
+            ? t('ui.errorPrefix', { error: subscription.lastError })
+            : [
+                describeFormat(subscription.format),
+                describeInterval(subscription.intervalMinutes),
+                cookieProfileLabel(subscription.cookieProfile),
+                checked
+            ].filter(Boolean).join(' · ');
+
+        const checkBtn = document.createElement('button');
+        checkBtn.className = 'icon-btn';
+        checkBtn.textContent = '↻';
+        checkBtn.title = t('ui.checkNow');
+        checkBtn.addEventListener('click', () => window.api.checkSubscriptions(subscription.id));
+
+        const toggleBtn = document.createElement('button');
+        toggleBtn.className = 'icon-btn';
+        toggleBtn.textContent = subscription.enabled ? '⏸' : '▶';
+        toggleBtn.title = t(subscription.enabled ? 'ui.disable' : 'ui.enable');
+        toggleBtn.addEventListener('click', () => window.api.updateSubscription(subscription.id, { enabled: !subscription.enabled }));
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'icon-btn';
+        removeBtn.textContent = '✕';
+        removeBtn.title = t('ui.unsubscribe');
+        removeBtn.addEventListener('click', () => window.api.removeSubscription(subscription.id));
+
+        li.append(label, status, checkBtn, toggleBtn, removeBtn);
+        subscriptionList.appendChild(li);
+    });
+}
+
+addSubscriptionBtn.addEventListener('click', async () => {
+    const url = subscriptionUrlInput.value.trim();
+    if (!url) return;
+
+    addSubscriptionBtn.disabled = true;
+    const result = await window.api.addSubscription({
+        url,
+        intervalMinutes: Number(subscriptionIntervalSelect.value),
+        downloadFolder: subscriptionFolderInput.value.trim() || null,
+        format: getSelectedFormat(),
+        cookieProfile: subscriptionCookieProfileSelect.value || null,
+        downloadExisting: downloadExistingCheck.checked
+    });
+    addSubscriptionBtn.disabled = false;
+
+    if (result.success) {
+        subscriptionUrlInput.value = '';
+    } else {
+        alert(result.error);
+    }
+});
+
+chooseSubscriptionFolderBtn.addEventListener('click', async () => {
+    const folder = await window.api.chooseDirectory();
+    if (folder) subscriptionFolderInput.value = folder;
+});
+
+checkSubscriptionsBtn.addEventListener('click', async () => {
+    checkSubscriptionsBtn.disabled = true;
+    await window.api.checkSubscriptions();
+    checkSubscriptionsBtn.disabled = false;
+});
+
+window.api.onSubscriptionsUpdate(renderSubscriptions);
+
+window.api.onSubscriptionsChecked(({ checkedAt, added, results }) => {
+    const errors = results.filter(r => r.error).length;
+    const params = { date: new Date(checkedAt).toLocaleString(), added, count: results.length, errors };
+    setText(subscriptionSummary, errors > 0 ? 'ui.subscriptionsSummaryErrors' : 'ui.subscriptionsSummary', params);
+});
+
+// Library duplicates: keep one file per video, link or delete the other copies
+function renderDuplicates(groups) {
+    shown.duplicates = groups;
+    duplicatesList.innerHTML = '';
+    const wasted = groups.reduce((sum, g) => sum + g.wastedBytes, 0);
+    if (groups.length) setText(duplicatesSummary, 'ui.duplicatesSummary', { count: groups.length, size: formatBytes(wasted) });
+    else setText(duplicatesSummary, 'ui.noDuplicates');
+
+    groups.forEach(group => {
+        const li = document.createElement('li');
+        li.className = 'duplicate-group';
+
+        const title = document.createElement('div');
+        title.className = 'queue-item-label';
+        title.textContent = group.artist ? `${group.artist} — ${group.title}` : (group.title || group.videoId);
+        li.appendChild(title);
+
+        const name = `keep-${group.videoId}`;
+        group.files.forEach((file, i) => {
+            const label = document.createElement('label');
+            label.className = 'duplicate-file';
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = name;
+            radio.value = file.file;
+            radio.checked = i === 0;
+            label.append(radio, ` ${file.file} (${formatBytes(file.size)})`);
+            li.appendChild(label);
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'duplicate-actions';
+        const cleanup = async (mode) => {
+            const keep = li.querySelector(`input[name="${name}"]:checked`).value;
+            const result = await window.api.cleanupDuplicate(group.videoId, keep, mode);
+            if (!result.success) alert(result.error);
+            renderDuplicates(await window.api.findDuplicates());
+        };
+
+        const linkBtn = document.createElement('button');
+        linkBtn.className = 'secondary-btn';
+        linkBtn.textContent = t('ui.linkCopies');
+        linkBtn.addEventListener('click', () => cleanup('hardlink'));
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'danger-btn';
+        deleteBtn.textContent = t('ui.deleteCopies');
+        deleteBtn.addEventListener('click', () => {
+            if (confirm(t('ui.confirmDeleteCopies'))) cleanup('delete');
+        });
+
+        actions.append(linkBtn, deleteBtn);
+        li.appendChild(actions);
+        duplicatesList.appendChild(li);
+    });
+}
+
+rebuildLibraryBtn.addEventListener('click', async () => {
+    rebuildLibraryBtn.disabled = true;
+    await window.api.rebuildLibrary();
+    rebuildLibraryBtn.disabled = false;
+    renderDuplicates(await window.api.findDuplicates());
+});
+
+findDuplicatesBtn.addEventListener('click', async () => {
+    renderDuplicates(await window.api.findDuplicates());
+});
+
+// Settings panel (validated and applied by the main process)
+function showSettings({ settings, youtubeClients, audioQualities, duplicatePolicies, loudnessModes, limits }) {
+    for (const [key, input] of Object.entries(settingsInputs)) {
+        input.min = limits[key].min;
+        input.max = limits[key].max;
+        input.value = settings[key];
+    }
+
+    audioQualitySelect.innerHTML = '';
+    audioQualities.forEach(quality => {
+        const option = document.createElement('option');
+        option.value = quality;
+        option.textContent = quality;
+        audioQualitySelect.appendChild(option);
+    });
+    audioQualitySelect.value = settings.audioQuality;
+
+    duplicatePolicySelect.innerHTML = '';
+    duplicatePolicies.forEach(policy => duplicatePolicySelect.appendChild(translatedOption(policy, 'duplicatePolicy')));
+    duplicatePolicySelect.value = settings.duplicatePolicy;
+
+    loudnessModeSelect.innerHTML = '';
+    loudnessModes.forEach(mode => loudnessModeSelect.appendChild(translatedOption(mode, 'loudnessMode')));
+    loudnessModeSelect.value = settings.loudnessMode;
+    trimSilenceCheck.checked = settings.trimSilence;
+
+    clientStrategiesInput.value = settings.clientStrategies.join(', ');
+    setText(clientsHelp, 'ui.clientsHelp', { clients: youtubeClients.join(', ') });
+    cookiesFileInput.value = settings.cookiesFile || '';
+    cookieSearchCheck.checked = settings.cookieSearch;
+}
+
+function getSettings() {
+    const settings = {};
+    for (const [key, input] of Object.entries(settingsInputs)) settings[key] = Number(input.value);
+    settings.clientStrategies = clientStrategiesInput.value.split(',').map(c => c.trim()).filter(Boolean);
+    settings.audioQuality = audioQualitySelect.value;
+    settings.duplicatePolicy = duplicatePolicySelect.value;
+    settings.loudnessMode = loudnessModeSelect.value;
+    settings.trimSilence = trimSilenceCheck.checked;
+    settings.cookiesFile = cookiesFileInput.value.trim();
+    settings.cookieSearch = cookieSearchCheck.checked;
+    return settings;
+}
+
+chooseCookiesBtn.addEventListener('click', async () => {
+    const file = await window.api.chooseCookiesFile();
+    if (file) cookiesFileInput.value = file;
+});
+
+saveSettingsBtn.addEventListener('click', async () => {
+    const result = await window.api.setSettings(getSettings());
+    if (result.success) {
+        log('log.settingsSaved');
+    } else {
+        alert(result.errors.join('\n'));
+    }
+});
+
+// Cookie profiles: imported cookies.txt files or a browser's cookies, read by yt-dlp
+function cookieProfileName(id) {
+    const profile = shown.cookies && shown.cookies.profiles.find(p => p.id === id);
+    return profile ? profile.name : null;
+}
+
+// "🍪 name" for items and subscriptions with their own profile
+function cookieProfileLabel(id) {
+    if (!id) return null;
+    return `🍪 ${cookieProfileName(id) || t('ui.cookieProfileMissing')}`;
+}
+
+// The default entry first, then every profile
+function fillCookieProfileSelect(select, defaultKey, value) {
+    select.innerHTML = '';
+    const option = document.createElement('option');
+    option.value = '';
+    option.dataset.i18n = defaultKey;
+    option.textContent = t(defaultKey);
+    select.appendChild(option);
+    for (const profile of shown.cookies ? shown.cookies.profiles : []) {
+        const profileOption = document.createElement('option');
+        profileOption.value = profile.id;
+        profileOption.textContent = profile.name;
+        select.appendChild(profileOption);
+    }
+    select.value = cookieProfileName(value) ? value : '';
+}
+
+function describeCookieProfile(profile) {
+    const source = profile.type === 'file'
+        ? t('ui.cookiesFromFile')
+        : t('ui.cookiesFromBrowser', { browser: profile.browser, profile: profile.browserProfile || t('ui.default') });
+    if (!profile.check) return source;
+
+    const check = profile.check.error
+        ? t('ui.errorPrefix', { error: profile.check.error })
+        : t(`cookies.status.${profile.check.status}`, { count: profile.check.youtube, expired: profile.check.expired });
+    return `${source} · ${check}`;
+}
+
+function renderCookieProfiles(data) {
+    shown.cookies = data;
+    const { profiles, browsers, defaultProfile, status } = data;
+
+    fillCookieProfileSelect(cookieProfileSelect, 'ui.noCookieProfile', defaultProfile);
+    fillCookieProfileSelect(subscriptionCookieProfileSelect, 'ui.cookiesDefaultOption', subscriptionCookieProfileSelect.value);
+    fillCookieProfileSelect(addCookieProfileSelect, 'ui.cookiesDefaultOption', addCookieProfileSelect.value);
+
+    if (cookieBrowserSelect.options.length === 0) {
+        browsers.forEach(browser => {
+            const option = document.createElement('option');
+            option.value = browser;
+            option.textContent = browser;
+            cookieBrowserSelect.appendChild(option);
+        });
+    }
+
+    cookieProfileList.innerHTML = '';
+    profiles.forEach(profile => {
+        const li = document.createElement('li');
+        li.className = 'queue-item';
+
+        const label = document.createElement('span');
+        label.className = 'queue-item-label';
+        label.textContent = profile.id === defaultProfile ? `${profile.name} (${t('ui.default')})` : profile.name;
+
+        const state = document.createElement('span');
+        state.className = 'queue-item-status';
+        state.textContent = describeCookieProfile(profile);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'icon-btn';
+        removeBtn.textContent = '✕';
+        removeBtn.title = t('ui.remove');
+        removeBtn.addEventListener('click', async () => {
+            if (!confirm(t('ui.confirmRemoveCookieProfile', { name: profile.name }))) return;
+            const result = await window.api.removeCookieProfile(profile.id);
+            if (!result.success) alert(result.error);
+            renderCookieProfiles(await window.api.getCookieProfiles());
+            renderQueue(shown.queue);
+            renderSubscriptions(shown.subscriptions);
+        });
+
+        li.append(label, state, removeBtn);
+        cookieProfileList.appendChild(li);
+    });
+
+    renderCookiesStatus(status);
+}
+
+// Which cookies the running items use
+function renderCookiesStatus({ active, names }) {
+    if (shown.cookies) shown.cookies.status = { active, names };
+    setText(cookiesStatus, active ? 'ui.cookiesActive' : 'ui.cookiesInactive', { names: names.join(', ') });
+}
+
+cookieProfileSelect.addEventListener('change', async () => {
+    const result = await window.api.setSettings({ cookieProfile: cookieProfileSelect.value || null });
+    if (!result.success) alert(result.errors.join('\n'));
+    renderCookieProfiles(await window.api.getCookieProfiles());
+});
+
+importCookiesBtn.addEventListener('click', async () => {
+    const file = await window.api.chooseCookiesFile();
+    if (!file) return;
+
+    const result = await window.api.importCookieProfile(cookieProfileNameInput.value, file);
+    if (!result.success) {
+        alert(result.error);
+        return;
+    }
+    cookieProfileNameInput.value = '';
+    renderCookieProfiles(await window.api.getCookieProfiles());
+});
+
+addBrowserProfileBtn.addEventListener('click', async () => {
+    const result = await window.api.addBrowserCookieProfile(cookieProfileNameInput.value, cookieBrowserSelect.value, cookieBrowserProfileInput.value);
+    if (!result.success) {
+        alert(result.error);
+        return;
+    }
+    cookieProfileNameInput.value = '';
+    cookieBrowserProfileInput.value = '';
+    renderCookieProfiles(await window.api.getCookieProfiles());
+});
+
+// Language: 'auto' follows the OS locale; saved and applied right away, also to the main process logs
+function showLanguage({ setting, languages }) {
+    languageSelect.innerHTML = '';
+    ['auto', ...languages].forEach(language => languageSelect.appendChild(translatedOption(language, 'languages')));
+    languageSelect.value = setting;
+}
+
+// Static text is translated again and everything built from messages is rendered again
+function applyLanguage(language) {
+    window.i18n.setLanguage(language);
+    translatePage();
+    renderLog();
+    renderQueue(shown.queue);
+    renderReport(shown.report);
+    renderSubscriptions(shown.subscriptions);
+    if (shown.duplicates) renderDuplicates(shown.duplicates);
+    if (shown.cookies) renderCookieProfiles(shown.cookies);
+    if (preview) renderPreview();
+    if (!importModal.hidden) renderImportRows();
+    updateTemplatePreview();
+    updateMetadataPreview();
+}
+
+languageSelect.addEventListener('change', async () => {
+    const result = await window.api.setLanguage(languageSelect.value);
+    if (result.success) {
+        applyLanguage(result.language);
+    } else {
+        alert(result.errors.join('\n'));
+    }
+});
+
+// Local API settings
+function showApiSettings(settings) {
+    apiEnabledCheck.checked = settings.enabled;
+    apiPortInput.value = settings.port;
+    apiTokenInput.value = settings.token;
+    if (settings.running) setText(apiStatus, 'ui.apiRunning', { url: `http://127.0.0.1:${settings.port}` });
+    else setText(apiStatus, 'ui.apiStopped');
+}
+
+async function saveApiSettings(regenerateToken = false) {
+    const result = await window.api.setApiSettings({
+        enabled: apiEnabledCheck.checked,
+        port: apiPortInput.value,
+        regenerateToken
+    });
+    if (result.settings) showApiSettings(result.settings);
+    if (!result.success) alert(result.error);
+}
+
+saveApiBtn.addEventListener('click', () => saveApiSettings());
+regenerateTokenBtn.addEventListener('click', () => saveApiSettings(true));
+
+// Run report / failed items panel
+function renderReport(summary) {
+    shown.report = summary;
+    failedList.innerHTML = '';
+    if (!summary) return;
+
+    const date = new Date(summary.finishedAt || summary.startedAt).toLocaleString();
+    setText(reportSummary, 'ui.reportSummary', { date, succeeded: summary.succeeded, skipped: summary.skipped, failed: summary.failed });
+
+    summary.failedEntries.forEach(entry => {
+        const li = document.createElement('li');
+        li.className = 'queue-item';
+
+        const label = document.createElement('span');
+        label.className = 'queue-item-label';
+        label.textContent = entry.playlist ? `${translate(entry.title)} (${entry.playlist})` : translate(entry.title);
+        label.title = entry.lastError || '';
+
+        const reason = document.createElement('span');
+        reason.className = 'queue-item-status';
+        reason.textContent = translate(entry.reason);
+
+        const retryBtn = document.createElement('button');
+        retryBtn.className = 'icon-btn';
+        retryBtn.textContent = '↻';
+        retryBtn.title = t('ui.retry');
+        retryBtn.disabled = !entry.videoId;
+        retryBtn.addEventListener('click', () => window.api.retryFailed([entry.videoId]));
+
+        li.append(label, reason, retryBtn);
+        failedList.appendChild(li);
+    });
+
+    retryFailedBtn.disabled = summary.failed === 0;
+    exportJsonBtn.disabled = false;
+    exportCsvBtn.disabled = false;
+}
+
+retryFailedBtn.addEventListener('click', async () => {
+    const count = await window.api.retryFailed();
+    if (count > 0) log('log.itemsQueued', { count });
+});
+
+async function exportReport(format) {
+    const result = await window.api.exportReport(format);
+    if (result.success) log('log.reportExported', { path: result.path });
+}
+
+exportJsonBtn.addEventListener('click', () => exportReport('json'));
+exportCsvBtn.addEventListener('click', () => exportReport('csv'));
+
 // Helper to update folder display
 function updateFolderDisplay(folderPath) {
     const shortPath = folderPath.length > 50
@@ -65,24 +1201,122 @@ function updateFolderDisplay(folderPath) {
 
 // Initialize folder display on load
 (async () => {
+    const language = await window.api.getLanguage();
+    showLanguage(language);
+    window.i18n.setLanguage(language.language);
+    translatePage();
+
     const folder = await window.api.getDownloadFolder();
     updateFolderDisplay(folder);
+    updateSyncDisplay(await window.api.getSyncOptions());
+    const templates = await window.api.getTemplates();
+    folderTemplateInput.value = templates.folderTemplate;
+    fileTemplateInput.value = templates.fileTemplate;
+    updateTemplatePreview();
+    showMetadataRules(await window.api.getMetadataRules());
+    updateMetadataPreview();
+    renderQueue(await window.api.getQueue());
+    renderReport(await window.api.getLastReport());
+    renderSubscriptions(await window.api.getSubscriptions());
+    showSettings(await window.api.getSettings());
+    renderCookieProfiles(await window.api.getCookieProfiles());
+    renderQueue(shown.queue);
+    renderSubscriptions(shown.subscriptions);
+    showApiSettings(await window.api.getApiSettings());
 })();
 
 // IPC Listeners
-window.api.onLog(msg => log(msg));
+window.api.onLog(({ key, params }) => log(key, params));
+
+// Drag-and-drop reordering: dropping an item on another moves it to that position
+function makeDraggable(li, item, index) {
+    li.draggable = true;
+    li.addEventListener('dragstart', event => {
+        event.dataTransfer.setData('text/plain', item.id);
+        event.dataTransfer.effectAllowed = 'move';
+        li.classList.add('dragging');
+    });
+    li.addEventListener('dragend', () => li.classList.remove('dragging'));
+    li.addEventListener('dragover', event => {
+        event.preventDefault();
+        li.classList.add('drag-over');
+    });
+    li.addEventListener('dragleave', () => li.classList.remove('drag-over'));
+    li.addEventListener('drop', event => {
+        event.preventDefault();
+        li.classList.remove('drag-over');
+        const id = event.dataTransfer.getData('text/plain');
+        if (id && id !== item.id) window.api.moveItem(id, index);
+    });
+}
 
-window.api.onQueueUpdate(queue => {
+function renderQueue(queue) {
+    shown.queue = queue;
     queueList.innerHTML = '';
-    queue.forEach((url, index) => {
+    queue.forEach((item, index) => {
         const li = document.createElement('li');
-        li.textContent = `${index + 1}. ${url}`;
+        li.className = `queue-item status-${item.status}`;
+        makeDraggable(li, item, index);
+
+        const label = document.createElement('span');
+        label.className = 'queue-item-label';
+        label.textContent = `${index + 1}. ${item.title || item.url}`;
+        label.title = `${item.url || item.title}\n${item.downloadDir ? t('ui.itemFolder', { folder: item.downloadDir }) : t('ui.itemFolderDefault')}`;
+
+        const status = document.createElement('span');
+        status.className = 'queue-item-status';
+        const selection = item.entryIds || item.entries;
+        status.textContent = [
+            t(`itemType.${item.type}`),
+            describeFormat(item.format),
+            item.splitChapters ? t('ui.chapters') : null,
+            cookieProfileLabel(item.cookieProfile),
+            selection ? t('ui.trackCount', { count: selection.length }) : null,
+            t(`queueStatus.${item.status}`)
+        ].filter(Boolean).join(' · ');
+
+        // Also changes while the item runs: its tracks not started yet follow the new priority
+        const prioritySelect = document.createElement('select');
+        prioritySelect.className = 'queue-item-priority';
+        prioritySelect.title = t('ui.priority');
+        PRIORITIES.forEach(priority => prioritySelect.appendChild(translatedOption(priority, 'priority')));
+        prioritySelect.value = item.priority || 'normal';
+        prioritySelect.addEventListener('change', () => window.api.updateItem(item.id, { priority: prioritySelect.value }));
+
+        const editBtn = document.createElement('button');
+        editBtn.className = 'icon-btn';
+        editBtn.textContent = '✎';
+        editBtn.title = t('ui.edit');
+        editBtn.disabled = item.status === 'downloading';
+        editBtn.addEventListener('click', () => openEdit(item));
+
+        const toggleBtn = document.createElement('button');
+        toggleBtn.className = 'icon-btn';
+        if (item.status === 'paused') {
+            toggleBtn.textContent = '▶';
+            toggleBtn.title = t('ui.resume');
+            toggleBtn.addEventListener('click', () => window.api.resumeItem(item.id));
+        } else {
+            toggleBtn.textContent = '⏸';
+            toggleBtn.title = t('ui.pause');
+            toggleBtn.addEventListener('click', () => window.api.pauseItem(item.id));
+        }
+
+        const cancelItemBtn = document.createElement('button');
+        cancelItemBtn.className = 'icon-btn';
+        cancelItemBtn.textContent = '✕';
+        cancelItemBtn.title = t(item.status === 'downloading' ? 'ui.cancel' : 'ui.remove');
+        cancelItemBtn.addEventListener('click', () => window.api.cancelItem(item.id));
+
+        li.append(label, status, prioritySelect, editBtn, toggleBtn, cancelItemBtn);
         queueList.appendChild(li);
     });
-});
+}
+
+window.api.onQueueUpdate(renderQueue);
 
-window.api.onStatusChange(status => {
-    statusText.textContent = status;
+window.api.onStatusChange(({ key, params }) => {
+    setText(statusText, key, params);
 });
 
 window.api.onProgress(({ completed, total }) => {
@@ -92,17 +1326,133 @@ window.api.onProgress(({ completed, total }) => {
     progressPercent.textContent = `${percent}%`;
 });
 
-window.api.onFinished((msg) => {
-    log(msg);
-    statusText.textContent = "Concluído";
+// Live rows for the tracks being downloaded right now (videoId -> row elements)
+const activeRows = new Map();
+
+function formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) return '?';
+    const units = ['B', 'KiB', 'MiB', 'GiB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+function formatEta(seconds) {
+    if (seconds === null || seconds === undefined) return '--:--';
+    const m = Math.floor(seconds / 60);
+    const s = Math.floor(seconds % 60);
+    return `${m}:${String(s).padStart(2, '0')}`;
+}
+
+function getActiveRow(videoId, title) {
+    if (activeRows.has(videoId)) return activeRows.get(videoId);
+
+    const li = document.createElement('li');
+    const name = document.createElement('div');
+    name.className = 'active-title';
+    name.textContent = translate(title);
+    const bar = document.createElement('div');
+    bar.className = 'progress-bar-container small';
+    const fill = document.createElement('div');
+    fill.className = 'progress-bar';
+    bar.appendChild(fill);
+    const details = document.createElement('div');
+    details.className = 'active-details';
+
+    li.append(name, bar, details);
+    activeList.appendChild(li);
+
+    const row = { li, fill, details };
+    activeRows.set(videoId, row);
+    return row;
+}
+
+function clearActiveRows() {
+    activeRows.clear();
+    activeList.innerHTML = '';
+}
+
+window.api.onItemProgress((progress) => {
+    if (['done', 'failed', 'cancelled'].includes(progress.phase)) {
+        const row = activeRows.get(progress.videoId);
+        if (row) row.li.remove();
+        activeRows.delete(progress.videoId);
+        return;
+    }
+
+    const row = getActiveRow(progress.videoId, progress.title);
+    const label = t(`phase.${progress.phase}`);
+
+    if (progress.phase === 'downloading' || progress.phase === 'splitting') {
+        if (progress.percent !== null && progress.percent !== undefined) {
+            row.fill.style.width = `${progress.percent}%`;
+        }
+        const parts = [label];
+        if (progress.percent !== null && progress.percent !== undefined) parts.push(`${progress.percent.toFixed(1)}%`);
+        if (progress.totalBytes) parts.push(`${formatBytes(progress.downloadedBytes)} / ${formatBytes(progress.totalBytes)}`);
+        if (progress.speed) parts.push(`${formatBytes(progress.speed)}/s`);
+        if (progress.eta !== undefined) parts.push(`ETA ${formatEta(progress.eta)}`);
+        row.details.textContent = parts.join(' · ');
+    } else {
+        row.fill.style.width = '100%';
+        row.details.textContent = progress.metadata
+            ? `${label}: ${progress.metadata.artist} — ${progress.metadata.title}`
+            : `${label}...`;
+    }
+});
+
+window.api.onRunReport(renderReport);
+
+// Age-restricted video without cookies: offer to pick a cookies.txt for the next attempts
+window.api.onCookiesRequired(async ({ title }) => {
+    log('log.cookiesRequired', { title });
+    if (!confirm(t('ui.confirmCookies', { title }))) return;
+
+    const file = await window.api.chooseCookiesFile();
+    if (!file) return;
+
+    // Imported as a profile and made the default one
+    const name = file.split(/[\\/]/).pop().replace(/\.txt$/i, '');
+    const imported = await window.api.importCookieProfile(name, file);
+    if (!imported.success) {
+        alert(imported.error);
+        return;
+    }
+    const result = await window.api.setSettings({ cookieProfile: imported.profile.id });
+    if (result.success) {
+        log('log.cookiesConfigured');
+        // The items that asked for them go back to the queue with the new profile
+        await window.api.retryWithCookies(imported.profile.id);
+    } else {
+        alert(result.errors.join('\n'));
+    }
+    renderCookieProfiles(await window.api.getCookieProfiles());
+});
+
+window.api.onCookiesStatus(renderCookiesStatus);
+
+window.api.onFinished(({ key, params }) => {
+    log(key, params);
+    setText(statusText, 'status.done');
     startBtn.disabled = false;
     addBtn.disabled = false;
     progressBar.style.width = '0%';
+    clearActiveRows();
+});
+
+window.api.onPaused(() => {
+    clearActiveRows();
+    startBtn.disabled = false;
+    addBtn.disabled = false;
 });
 
 window.api.onError((err) => {
-    log(`ERRO: ${err}`);
-    alert(`Erro: ${err}`);
+    log('log.error', { error: err });
+    alert(t('ui.errorPrefix', { error: err }));
     startBtn.disabled = false;
     addBtn.disabled = false;
 });
@@ -0,0 +1,124 @@
+const path = require('path');
+const fs = require('fs');
+const { translate } = require('./i18n');
+
+// Longest yt-dlp error kept per entry, so a report stays readable
+const MAX_ERROR_LENGTH = 2000;
+
+const CSV_COLUMNS = ['status', 'playlist', 'title', 'videoId', 'url', 'file', 'errorType', 'reason', 'lastError'];
+
+function csvValue(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Structured record of one queue run: succeeded, skipped and failed entries
+class RunReport {
+    constructor(data = {}) {
+        this.id = data.id || new Date().toISOString().replace(/[:.]/g, '-');
+        this.startedAt = data.startedAt || new Date().toISOString();
+        this.finishedAt = data.finishedAt || null;
+        this.entries = data.entries || [];
+    }
+
+    // entry: { itemId, playlist, videoId, title, url, file, timings, errorType, reason, lastError, retry }
+    add(status, entry) {
+        const lastError = entry.lastError ? String(entry.lastError).trim().slice(-MAX_ERROR_LENGTH) : null;
+        this.entries.push({ status, ...entry, lastError, at: new Date().toISOString() });
+    }
+
+    get succeeded() {
+        return this.entries.filter(e => e.status === 'succeeded');
+    }
+
+    get skipped() {
+        return this.entries.filter(e => e.status === 'skipped');
+    }
+
+    get failed() {
+        return this.entries.filter(e => e.status === 'failed');
+    }
+
+    summary() {
+        return {
+            id: this.id,
+            startedAt: this.startedAt,
+            finishedAt: this.finishedAt,
+            succeeded: this.succeeded.length,
+            skipped: this.skipped.length,
+            failed: this.failed.length,
+            failedEntries: this.failed
+        };
+    }
+
+    // Processing time per phase (ms) summed over the downloaded entries
+    phaseTotals() {
+        const totals = {};
+        for (const entry of this.succeeded) {
+            for (const [phase, ms] of Object.entries(entry.timings || {})) {
+                totals[phase] = (totals[phase] || 0) + ms;
+            }
+        }
+        return totals;
+    }
+
+    finish() {
+        this.finishedAt = new Date().toISOString();
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            startedAt: this.startedAt,
+            finishedAt: this.finishedAt,
+            entries: this.entries
+        };
+    }
+
+    // Entries with their titles and reasons ({ key, params } messages) in the current language
+    translatedEntries() {
+        return this.entries.map(entry => ({ ...entry, title: translate(entry.title), reason: translate(entry.reason) }));
+    }
+
+    toCSV() {
+        const rows = [CSV_COLUMNS.join(',')];
+        for (const entry of this.translatedEntries()) {
+            rows.push(CSV_COLUMNS.map(column => csvValue(entry[column])).join(','));
+        }
+        return rows.join('\n') + '\n';
+    }
+
+    save(dir) {
+        if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+        const filePath = path.join(dir, `run-${this.id}.json`);
+        fs.writeFileSync(filePath, JSON.stringify(this, null, 2));
+        return filePath;
+    }
+
+    exportTo(filePath) {
+        const content = path.extname(filePath).toLowerCase() === '.csv'
+            ? this.toCSV()
+            : JSON.stringify({ ...this.toJSON(), entries: this.translatedEntries() }, null, 2);
+        fs.writeFileSync(filePath, content);
+    }
+
+    // Most recent report saved in the directory, or null
+    static loadLatest(dir) {
+        if (!fs.existsSync(dir)) return null;
+
+        const files = fs.readdirSync(dir)
+            .filter(f => /^run-.*\.json$/.test(f))
+            .sort();
+        if (files.length === 0) return null;
+
+        try {
+            return new RunReport(JSON.parse(fs.readFileSync(path.join(dir, files[files.length - 1]), 'utf8')));
+        } catch (e) {
+            console.error('Error loading run report:', e);
+            return null;
+        }
+    }
+}
+
+module.exports = RunReport;
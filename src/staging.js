@@ -0,0 +1,105 @@
+const path = require('path');
+const fs = require('fs');
+const { MANIFEST_FILE, REMOVED_DIR } = require('./manifest');
+
+// In-progress downloads live in a hidden folder inside the playlist folder, one subfolder per video.
+// yt-dlp's output, the cover, loudness processing and tagging all happen there; only finished files
+// are renamed into place, so the library never sees a half-written file. Being inside the playlist
+// folder keeps the staging area on the same filesystem, which makes that rename atomic.
+const STAGING_DIR = '.staging';
+
+// yt-dlp's partial downloads, which it continues on the next run with the same output template
+const PARTIAL_FILE = /\.(part|ytdl)$/;
+
+// Files of versions that downloaded straight into the playlist folder ("<video id>_temp.<ext>")
+const LEGACY_TEMP_FILE = /^[\w-]{11}_temp\./;
+
+function stagingDir(dir, videoId) {
+    return path.join(dir, STAGING_DIR, videoId);
+}
+
+// Creates the video's staging folder, keeping only the partial downloads of an earlier attempt:
+// a file that was already converted or tagged is redone from the start
+function prepareStaging(dir, videoId) {
+    const stageDir = stagingDir(dir, videoId);
+    fs.mkdirSync(stageDir, { recursive: true });
+    for (const file of fs.readdirSync(stageDir)) {
+        if (!PARTIAL_FILE.test(file)) fs.rmSync(path.join(stageDir, file), { recursive: true, force: true });
+    }
+    return stageDir;
+}
+
+// Removes the video's staging folder, and the staging area once it is empty
+function removeStaging(dir, videoId) {
+    fs.rmSync(stagingDir(dir, videoId), { recursive: true, force: true });
+    try {
+        fs.rmdirSync(path.join(dir, STAGING_DIR));
+    } catch (e) {
+        // Other videos of the playlist are still in progress
+    }
+}
+
+// Renames a finished file into place, replacing the target if it exists.
+// Across filesystems (a file template leading to another mount) the file is copied next to the
+// target first, so the target still appears in a single rename.
+function moveIntoPlace(source, target) {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    try {
+        fs.renameSync(source, target);
+    } catch (e) {
+        if (e.code !== 'EXDEV') throw e;
+        const copy = path.join(path.dirname(target), `.${path.basename(target)}.moving`);
+        fs.copyFileSync(source, copy);
+        fs.renameSync(copy, target);
+        fs.unlinkSync(source);
+    }
+}
+
+// Staging folders and legacy "_temp" files in the playlist folders (the ones with a manifest)
+// under a download folder, as [{ dir (playlist folder), videoIds, tempFiles }].
+// Other folders are only searched for playlist folders; the contents of the user's own are never touched.
+function findLeftovers(root) {
+    const found = [];
+    if (!root || !fs.existsSync(root)) return found;
+
+    const walk = (dir) => {
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (e) {
+            return;
+        }
+
+        if (!entries.some(e => e.isFile() && e.name === MANIFEST_FILE)) {
+            for (const entry of entries) {
+                if (entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== REMOVED_DIR) walk(path.join(dir, entry.name));
+            }
+            return;
+        }
+
+        // Playlist folders don't hold other playlists, so the search stops here
+        const leftover = { dir, videoIds: [], tempFiles: [] };
+        for (const entry of entries) {
+            if (entry.isDirectory() && entry.name === STAGING_DIR) {
+                leftover.videoIds = fs.readdirSync(path.join(dir, entry.name));
+            } else if (entry.isFile() && LEGACY_TEMP_FILE.test(entry.name)) {
+                leftover.tempFiles.push(entry.name);
+            }
+        }
+        const stagingExists = entries.some(e => e.isDirectory() && e.name === STAGING_DIR);
+        if (stagingExists || leftover.tempFiles.length > 0) found.push(leftover);
+    };
+
+    walk(root);
+    return found;
+}
+
+module.exports = {
+    STAGING_DIR,
+    LEGACY_TEMP_FILE,
+    stagingDir,
+    prepareStaging,
+    removeStaging,
+    moveIntoPlace,
+    findLeftovers
+};
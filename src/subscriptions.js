@@ -0,0 +1,279 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { ytDlpJson } = require('./ytdlp');
+const { normalizeFormat } = require('./formats');
+const { validateUrl } = require('./youtube-url');
+const { t } = require('./i18n');
+
+const MIN_INTERVAL_MINUTES = 15;
+const DEFAULT_INTERVAL_MINUTES = 24 * 60;
+
+// How often due subscriptions are looked for
+const TICK_MS = 60 * 1000;
+
+function normalizeInterval(minutes) {
+    const value = Math.round(Number(minutes));
+    return Number.isFinite(value) && value >= MIN_INTERVAL_MINUTES ? value : DEFAULT_INTERVAL_MINUTES;
+}
+
+// Watched playlists (subscriptions.json): new entries are queued on a schedule.
+// Seen video IDs are saved, so an entry is only queued once, also across restarts.
+class SubscriptionManager extends EventEmitter {
+    constructor(queueManager, storePath) {
+        super();
+        this.queueManager = queueManager;
+        this.storePath = storePath;
+        this.subscriptions = [];
+        this.timer = null;
+        this.checking = null; // promise of the running check
+        this.followUp = null; // { ids, promise }: subscriptions to check once the running check ends
+        this.controller = null;
+
+        this.load();
+    }
+
+    load() {
+        if (!this.storePath || !fs.existsSync(this.storePath)) return;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+            this.subscriptions = data.subscriptions || [];
+        } catch (e) {
+            console.error('Error loading subscriptions:', e);
+        }
+    }
+
+    save() {
+        if (!this.storePath) return;
+
+        try {
+            const tmpPath = `${this.storePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, subscriptions: this.subscriptions }, null, 2));
+            fs.renameSync(tmpPath, this.storePath);
+        } catch (e) {
+            console.error('Error saving subscriptions:', e);
+        }
+    }
+
+    onChanged() {
+        this.save();
+        this.emit('subscriptions-update', this.list());
+    }
+
+    // Subscriptions without the (possibly long) seen ID lists
+    list() {
+        return this.subscriptions.map(({ seenIds, ...subscription }) => ({ ...subscription, seenCount: seenIds.length }));
+    }
+
+    getSubscription(id) {
+        return this.subscriptions.find(s => s.id === id);
+    }
+
+    // options: { url, intervalMinutes, downloadFolder, format, cookieProfile, downloadExisting }
+    async add(options = {}) {
+        const check = validateUrl(options.url);
+        if (!check.valid) return { success: false, error: check.error };
+        if (check.type === 'video') return { success: false, error: t('errors.notAPlaylist') };
+
+        const url = check.url;
+        if (this.subscriptions.some(s => s.url === url)) return { success: false, error: t('errors.alreadySubscribed') };
+
+        // Private and members-only playlists need the cookies of an account that can see them
+        const cookieProfile = options.cookieProfile || null;
+        const cookies = this.queueManager.resolveCookies(cookieProfile);
+
+        let info;
+        try {
+            info = await ytDlpJson(url, { flatPlaylist: true, noWarnings: true, ...(cookies && cookies.options) });
+        } catch (e) {
+            return { success: false, error: e.message.split('\n')[0] };
+        }
+        if (!info.entries) return { success: false, error: t('errors.notAPlaylist') };
+
+        const subscription = {
+            id: crypto.randomUUID(),
+            url,
+            title: info.title || url,
+            intervalMinutes: normalizeInterval(options.intervalMinutes),
+            downloadFolder: options.downloadFolder || null,
+            format: normalizeFormat(options.format),
+            cookieProfile,
+            enabled: true,
+            lastChecked: null,
+            lastAdded: 0,
+            lastError: null,
+            // Without downloadExisting, only entries added after subscribing are downloaded
+            seenIds: options.downloadExisting ? [] : info.entries.map(e => e.id)
+        };
+
+        if (!options.downloadExisting) subscription.lastChecked = new Date().toISOString();
+
+        this.subscriptions.push(subscription);
+        this.queueManager.log('log.subscribed', { title: subscription.title });
+        this.onChanged();
+
+        if (options.downloadExisting) {
+            this.checkNow(subscription.id).catch(e => this.queueManager.log('log.subscriptionsError', { error: e.message }));
+        }
+        return { success: true, subscription };
+    }
+
+    // changes: { intervalMinutes, downloadFolder, format, cookieProfile, enabled }
+    update(id, changes = {}) {
+        const subscription = this.getSubscription(id);
+        if (!subscription) return false;
+
+        if (changes.intervalMinutes !== undefined) subscription.intervalMinutes = normalizeInterval(changes.intervalMinutes);
+        if (changes.downloadFolder !== undefined) subscription.downloadFolder = changes.downloadFolder || null;
+        if (changes.format !== undefined) subscription.format = normalizeFormat(changes.format);
+        if (changes.cookieProfile !== undefined) subscription.cookieProfile = changes.cookieProfile || null;
+        if (changes.enabled !== undefined) subscription.enabled = Boolean(changes.enabled);
+
+        this.onChanged();
+        return true;
+    }
+
+    remove(id) {
+        const subscription = this.getSubscription(id);
+        if (!subscription) return false;
+
+        this.subscriptions = this.subscriptions.filter(s => s.id !== id);
+        this.queueManager.log('log.unsubscribed', { title: subscription.title });
+        this.onChanged();
+        return true;
+    }
+
+    isDue(subscription, now = Date.now()) {
+        if (!subscription.enabled) return false;
+        if (!subscription.lastChecked) return true;
+        return now - new Date(subscription.lastChecked).getTime() >= subscription.intervalMinutes * 60 * 1000;
+    }
+
+    // Fetches the playlist and queues the entries not seen before; returns { id, title, added, error }
+    async check(subscription, signal) {
+        const result = { id: subscription.id, title: subscription.title, added: 0, error: null };
+
+        try {
+            const cookies = this.queueManager.resolveCookies(subscription.cookieProfile);
+            const info = await ytDlpJson(subscription.url, { flatPlaylist: true, noWarnings: true, ...(cookies && cookies.options), signal });
+            const seen = new Set(subscription.seenIds);
+            const newIds = (info.entries || []).map(e => e.id).filter(id => id && !seen.has(id));
+
+            subscription.title = info.title || subscription.title;
+            result.title = subscription.title;
+
+            if (newIds.length > 0) {
+                this.queueManager.addToQueue(subscription.url, {
+                    format: subscription.format,
+                    downloadDir: subscription.downloadFolder,
+                    cookieProfile: subscription.cookieProfile,
+                    entryIds: newIds
+                });
+                subscription.seenIds.push(...newIds);
+            }
+
+            result.added = newIds.length;
+            subscription.lastError = null;
+        } catch (e) {
+            if (e.name === 'AbortError') throw e;
+            result.error = e.message.split('\n')[0];
+            subscription.lastError = result.error;
+        }
+
+        subscription.lastChecked = new Date().toISOString();
+        subscription.lastAdded = result.added;
+        return result;
+    }
+
+    // Checks the given subscriptions one at a time, then starts the queue if anything was added
+    async checkAll(subscriptions) {
+        if (this.checking) return this.checkAfterRunning(subscriptions);
+
+        this.controller = new AbortController();
+        const { signal } = this.controller;
+
+        this.checking = (async () => {
+            const results = [];
+            try {
+                for (const subscription of subscriptions) {
+                    if (signal.aborted) break;
+                    results.push(await this.check(subscription, signal));
+                    this.onChanged();
+                }
+            } catch (e) {
+                if (e.name !== 'AbortError') throw e;
+            }
+
+            if (results.length > 0) this.reportResults(results);
+            if (results.some(r => r.added > 0)) this.queueManager.start();
+            return results;
+        })();
+
+        try {
+            return await this.checking;
+        } finally {
+            this.checking = null;
+            this.controller = null;
+        }
+    }
+
+    // Subscriptions asked for during a check (e.g. the first check of a new one) are checked right after it
+    checkAfterRunning(subscriptions) {
+        if (!this.followUp) {
+            const followUp = { ids: new Set(), promise: null };
+            followUp.promise = this.checking.catch(() => {}).then(() => {
+                // stop() drops the follow-up
+                if (this.followUp !== followUp) return [];
+                this.followUp = null;
+                return this.checkAll(this.subscriptions.filter(s => followUp.ids.has(s.id)));
+            });
+            this.followUp = followUp;
+        }
+        for (const subscription of subscriptions) this.followUp.ids.add(subscription.id);
+        return this.followUp.promise;
+    }
+
+    reportResults(results) {
+        const added = results.reduce((sum, r) => sum + r.added, 0);
+        for (const r of results) {
+            if (r.error) this.queueManager.log('log.subscriptionCheckError', { title: r.title, error: r.error });
+            else if (r.added > 0) this.queueManager.log('log.subscriptionAdded', { title: r.title, count: r.added });
+        }
+        this.queueManager.log('log.subscriptionsChecked', { count: results.length, added });
+        this.emit('subscriptions-checked', { checkedAt: new Date().toISOString(), added, results });
+    }
+
+    // Checks one subscription (or all of them) right away, ignoring the interval
+    checkNow(id = null) {
+        const subscriptions = id ? this.subscriptions.filter(s => s.id === id) : this.subscriptions.filter(s => s.enabled);
+        return this.checkAll(subscriptions);
+    }
+
+    checkDue() {
+        const now = Date.now();
+        const due = this.subscriptions.filter(s => this.isDue(s, now));
+        if (due.length === 0) return Promise.resolve([]);
+        return this.checkAll(due);
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.checkDue().catch(e => this.queueManager.log('log.subscriptionsError', { error: e.message }));
+        }, TICK_MS);
+        this.checkDue().catch(e => this.queueManager.log('log.subscriptionsError', { error: e.message }));
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+        this.followUp = null;
+        if (this.controller) this.controller.abort();
+    }
+}
+
+SubscriptionManager.EVENTS = ['subscriptions-update', 'subscriptions-checked'];
+SubscriptionManager.MIN_INTERVAL_MINUTES = MIN_INTERVAL_MINUTES;
+
+module.exports = SubscriptionManager;
@@ -0,0 +1,262 @@
+const path = require('path');
+const fs = require('fs');
+const nodeID3 = require('node-id3');
+const { runProcess } = require('./child-process');
+const { normalizeFormat } = require('./formats');
+
+// Custom tag holding the YouTube video ID (ID3 TXXX frame / Vorbis comment / MP4 and Matroska tag)
+const VIDEO_ID_TAG = 'YOUTUBE_VIDEO_ID';
+
+function runFfmpeg(args, options = {}) {
+    return runProcess('ffmpeg', ['-hide_banner', '-loglevel', 'error', '-y', ...args], options);
+}
+
+// Escapes a value for the ffmetadata file format
+function escapeMetadata(value) {
+    return String(value).replace(/([=;#\\\n])/g, '\\$1');
+}
+
+function buildMetadataFile(tags) {
+    const lines = [';FFMETADATA1'];
+    for (const [key, value] of Object.entries(tags)) {
+        if (value === undefined || value === null || value === '') continue;
+        lines.push(`${key}=${escapeMetadata(value)}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Reads width/height from a JPEG SOF marker (needed by the FLAC picture block)
+function jpegSize(buffer) {
+    let offset = 2;
+    while (offset < buffer.length) {
+        if (buffer[offset] !== 0xFF) break;
+        const marker = buffer[offset + 1];
+        const length = buffer.readUInt16BE(offset + 2);
+        if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+            return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+        }
+        offset += 2 + length;
+    }
+    return { width: 0, height: 0 };
+}
+
+// Base64 FLAC picture block, the way Ogg/Opus files carry cover art in a Vorbis comment
+function buildPictureBlock(imageBuffer) {
+    const mime = Buffer.from('image/jpeg');
+    const description = Buffer.from('Cover');
+    const { width, height } = jpegSize(imageBuffer);
+
+    const u32 = (value) => {
+        const b = Buffer.alloc(4);
+        b.writeUInt32BE(value);
+        return b;
+    };
+
+    return Buffer.concat([
+        u32(3), // front cover
+        u32(mime.length), mime,
+        u32(description.length), description,
+        u32(width), u32(height), u32(24), u32(0),
+        u32(imageBuffer.length), imageBuffer
+    ]).toString('base64');
+}
+
+function formatTrack(tags) {
+    if (!tags.trackNumber) return undefined;
+    return tags.totalTracks ? `${tags.trackNumber}/${tags.totalTracks}` : String(tags.trackNumber);
+}
+
+// ReplayGain tags for a container: R128_* gains are only defined for Opus
+function replayGainEntries(replayGain, type) {
+    return Object.entries(replayGain || {}).filter(([key]) => type === 'opus' || !key.startsWith('R128_'));
+}
+
+function id3UserTexts(tags) {
+    const texts = replayGainEntries(tags.replayGain, 'mp3').map(([description, value]) => ({ description, value }));
+    if (tags.videoId) texts.unshift({ description: VIDEO_ID_TAG, value: tags.videoId });
+    return texts;
+}
+
+function writeId3(filePath, tags, coverBuffer) {
+    nodeID3.write({
+        title: tags.title,
+        artist: tags.artist,
+        album: tags.album || undefined,
+        year: tags.year || undefined,
+        trackNumber: formatTrack(tags),
+        comment: tags.comment ? { language: 'und', text: tags.comment } : undefined,
+        audioSourceUrl: tags.url || undefined,
+        userDefinedText: id3UserTexts(tags),
+        image: coverBuffer ? {
+            mime: "image/jpeg",
+            type: { id: 3, name: "front cover" },
+            description: "Cover",
+            imageBuffer: coverBuffer
+        } : undefined
+    }, filePath);
+}
+
+// Remuxes the file with ffmpeg (no re-encoding) to write tags and cover art:
+// MP4 atoms for M4A/MP4, Vorbis comments for Opus/FLAC, Matroska tags/attachments for MKV.
+async function writeWithFfmpeg(filePath, type, tags, coverBuffer, signal) {
+    const ext = path.extname(filePath);
+    const base = filePath.slice(0, -ext.length);
+    const metadataPath = `${base}.metadata.txt`;
+    const coverPath = `${base}.cover.jpg`;
+    const outputPath = `${base}.tagging${ext}`;
+
+    // ffmpeg maps these generic keys to MP4 atoms, Vorbis comments or Matroska tags
+    const metadata = {
+        title: tags.title,
+        artist: tags.artist,
+        album: tags.album,
+        track: formatTrack(tags),
+        date: tags.year,
+        comment: tags.comment,
+        [VIDEO_ID_TAG]: tags.videoId,
+        ...Object.fromEntries(replayGainEntries(tags.replayGain, type))
+    };
+    if (type === 'opus' && coverBuffer) {
+        metadata.METADATA_BLOCK_PICTURE = buildPictureBlock(coverBuffer);
+    }
+
+    fs.writeFileSync(metadataPath, buildMetadataFile(metadata));
+    if (coverBuffer) fs.writeFileSync(coverPath, coverBuffer);
+
+    const args = ['-i', filePath, '-i', metadataPath];
+    const useAttachedPic = coverBuffer && ['m4a', 'flac', 'mp4'].includes(type);
+    if (useAttachedPic) args.push('-i', coverPath);
+
+    // Audio-only containers: keep just the audio so a stale embedded image is replaced
+    args.push('-map', type === 'm4a' || type === 'flac' ? '0:a' : '0');
+    if (useAttachedPic) args.push('-map', '2');
+    args.push('-c', 'copy', '-map_metadata', '1');
+
+    if (type === 'm4a' || type === 'mp4') {
+        // Without this the MP4 muxer drops keys it doesn't know (the video ID)
+        args.push('-movflags', 'use_metadata_tags');
+    }
+
+    if (type === 'opus') {
+        // Ogg keeps tags on the stream, not the container
+        args.push('-map_metadata:s:a', '1:g');
+    }
+
+    if (useAttachedPic) {
+        const coverIndex = type === 'mp4' ? 1 : 0;
+        args.push(`-disposition:v:${coverIndex}`, 'attached_pic');
+    }
+
+    if (type === 'mkv' && coverBuffer) {
+        args.push('-attach', coverPath, '-metadata:s:t', 'mimetype=image/jpeg', '-metadata:s:t', 'filename=cover.jpg');
+    }
+
+    args.push(outputPath);
+
+    try {
+        await runFfmpeg(args, { signal });
+        fs.renameSync(outputPath, filePath);
+    } finally {
+        for (const p of [metadataPath, coverPath, outputPath]) {
+            if (fs.existsSync(p)) fs.unlinkSync(p);
+        }
+    }
+}
+
+// Writes tags (see buildMetadata in metadata.js) and the JPEG cover using the container's native format
+async function writeTags(filePath, format, tags, coverBuffer = null, { signal } = {}) {
+    const { type } = normalizeFormat(format);
+
+    if (type === 'mp3') {
+        writeId3(filePath, tags, coverBuffer);
+        return;
+    }
+
+    await writeWithFfmpeg(filePath, type, tags, coverBuffer, signal);
+}
+
+// Updates only the ReplayGain tags of an already tagged file (album gain changes as a playlist grows).
+// The new file is written in workDir (a staging folder on the same drive) and renamed over the old one.
+async function writeReplayGainTags(filePath, replayGain, { signal, workDir = path.dirname(filePath) } = {}) {
+    const type = path.extname(filePath).slice(1).toLowerCase();
+    const ext = path.extname(filePath);
+    const outputPath = path.join(workDir, `${path.basename(filePath, ext)}.tagging${ext}`);
+
+    if (type === 'mp3') {
+        try {
+            fs.copyFileSync(filePath, outputPath);
+            // node-id3 merges TXXX frames by description, so the video ID frame is kept
+            nodeID3.update({ userDefinedText: id3UserTexts({ replayGain }) }, outputPath);
+            fs.renameSync(outputPath, filePath);
+        } finally {
+            if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+        }
+        return;
+    }
+
+    const args = ['-i', filePath, '-map', '0', '-c', 'copy', '-map_metadata', '0'];
+
+    // Opus keeps its tags on the audio stream
+    const metadataOption = type === 'opus' ? '-metadata:s:a:0' : '-metadata';
+    for (const [key, value] of replayGainEntries(replayGain, type)) {
+        args.push(metadataOption, `${key}=${value}`);
+    }
+    if (type === 'm4a' || type === 'mp4') args.push('-movflags', 'use_metadata_tags');
+    args.push(outputPath);
+
+    try {
+        await runFfmpeg(args, { signal });
+        fs.renameSync(outputPath, filePath);
+    } finally {
+        if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+    }
+}
+
+// Case-insensitive lookup in ffprobe's format and stream tags
+function findTag(probe, name) {
+    const sources = [probe.format && probe.format.tags, ...(probe.streams || []).map(s => s.tags)];
+    for (const tags of sources) {
+        if (!tags) continue;
+        const key = Object.keys(tags).find(k => k.toLowerCase() === name.toLowerCase());
+        if (key) return tags[key];
+    }
+    return null;
+}
+
+// Reads { videoId, title, artist, duration } back from a tagged file (used to rebuild the library index)
+async function readTrackTags(filePath, { signal } = {}) {
+    if (path.extname(filePath).toLowerCase() === '.mp3') {
+        const tags = nodeID3.read(filePath, { include: ['TIT2', 'TPE1', 'TXXX'] });
+        const userTexts = [].concat(tags.userDefinedText || []);
+        const videoId = userTexts.find(t => t.description === VIDEO_ID_TAG);
+        return {
+            videoId: videoId ? videoId.value : null,
+            title: tags.title || null,
+            artist: tags.artist || null,
+            duration: null
+        };
+    }
+
+    const output = await runProcess('ffprobe', [
+        '-v', 'error', '-of', 'json',
+        '-show_entries', 'format=duration:format_tags:stream_tags',
+        filePath
+    ], { signal });
+    const probe = JSON.parse(output);
+    const duration = probe.format ? Number(probe.format.duration) : NaN;
+
+    return {
+        videoId: findTag(probe, VIDEO_ID_TAG),
+        title: findTag(probe, 'title'),
+        artist: findTag(probe, 'artist'),
+        duration: Number.isFinite(duration) ? duration : null
+    };
+}
+
+module.exports = {
+    VIDEO_ID_TAG,
+    runFfmpeg,
+    writeTags,
+    writeReplayGainTags,
+    readTrackTags
+};
@@ -0,0 +1,66 @@
+// Checks pasted links before they reach the queue, so a typo fails right away instead of inside yt-dlp
+const { t } = require('./i18n');
+
+const YOUTUBE_HOSTS = ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'music.youtube.com', 'youtube-nocookie.com', 'www.youtube-nocookie.com'];
+const SHORT_HOSTS = ['youtu.be', 'www.youtu.be'];
+
+const URL_TYPES = ['video', 'playlist', 'channel'];
+
+const VIDEO_ID = /^[\w-]{11}$/;
+const PLAYLIST_ID = /^[\w-]{2,}$/;
+
+// Channel pages: /@handle, /channel/UC..., /c/name, /user/name, optionally a tab (/videos, /shorts...)
+const CHANNEL_PATH = /^\/(@[\w.\-]+|channel\/UC[\w-]{22}|c\/[^/]+|user\/[^/]+)(\/(videos|shorts|streams|playlists|featured|releases))?\/?$/;
+
+// Video pages: /watch?v=, /shorts/<id>, /live/<id>, /embed/<id>, /v/<id>
+const VIDEO_PATH = /^\/(shorts|live|embed|v)\/([\w-]{11})\/?$/;
+
+function invalid(error) {
+    return { valid: false, url: null, type: null, error };
+}
+
+// { valid, url (normalized), type: 'video' | 'playlist' | 'channel', error }
+function validateUrl(text) {
+    let input = String(text || '').trim();
+    if (!input) return invalid(t('url.empty'));
+    if (!/^[a-z][a-z\d+.-]*:\/\//i.test(input)) input = `https://${input}`;
+
+    let url;
+    try {
+        url = new URL(input);
+    } catch (e) {
+        return invalid(t('url.malformed'));
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return invalid(t('url.malformed'));
+
+    const host = url.hostname.toLowerCase();
+
+    if (SHORT_HOSTS.includes(host)) {
+        const id = url.pathname.slice(1).replace(/\/$/, '');
+        if (!VIDEO_ID.test(id)) return invalid(t('url.shortLinkId'));
+        return { valid: true, url: url.href, type: 'video', error: null };
+    }
+
+    if (!YOUTUBE_HOSTS.includes(host)) return invalid(t('url.notYoutube'));
+
+    // yt-dlp downloads the whole playlist for watch?v=...&list=..., so that counts as a playlist
+    const list = url.searchParams.get('list');
+    if (list !== null) {
+        if (!PLAYLIST_ID.test(list)) return invalid(t('url.playlistId'));
+        return { valid: true, url: url.href, type: 'playlist', error: null };
+    }
+
+    if (url.pathname === '/watch') {
+        if (!VIDEO_ID.test(url.searchParams.get('v') || '')) return invalid(t('url.videoId'));
+        return { valid: true, url: url.href, type: 'video', error: null };
+    }
+    if (VIDEO_PATH.test(url.pathname)) return { valid: true, url: url.href, type: 'video', error: null };
+    if (CHANNEL_PATH.test(url.pathname)) return { valid: true, url: url.href, type: 'channel', error: null };
+
+    return invalid(t('url.unrecognized'));
+}
+
+module.exports = {
+    URL_TYPES,
+    validateUrl
+};
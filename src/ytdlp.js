@@ -0,0 +1,118 @@
+const { runProcess } = require('./child-process');
+
+// Helper to run yt-dlp using system binary
+function runYtDlp(args, options = {}) {
+    return runProcess('yt-dlp', args, options);
+}
+
+// Machine-readable progress lines (fields separated by '|', "NA" when unknown)
+const PROGRESS_TEMPLATE = 'download:[progress] %(progress.downloaded_bytes)s|%(progress.total_bytes)s|%(progress.total_bytes_estimate)s|%(progress.speed)s|%(progress.eta)s';
+const POSTPROCESS_TEMPLATE = 'postprocess:[postprocess] %(progress.postprocessor)s|%(progress.status)s';
+
+// The full info JSON, printed once the file is in its final place (filepath, thumbnails[].filepath...).
+// It replaces a separate --dump-single-json run for the metadata.
+const INFO_PREFIX = '[info-json] ';
+const INFO_TEMPLATE = `after_move:${INFO_PREFIX}%()j`;
+
+function toNumber(value) {
+    const number = Number(value);
+    return value === 'NA' || value === 'None' || Number.isNaN(number) ? null : number;
+}
+
+// Parses a yt-dlp output line into { phase, percent, downloadedBytes, totalBytes, speed, eta }
+function parseProgressLine(line) {
+    let match = line.match(/^\[progress\] (.*)$/);
+    if (match) {
+        const [downloaded, total, estimate, speed, eta] = match[1].split('|').map(toNumber);
+        const totalBytes = total || estimate;
+        return {
+            phase: 'downloading',
+            downloadedBytes: downloaded,
+            totalBytes,
+            percent: downloaded !== null && totalBytes ? Math.min(100, (downloaded / totalBytes) * 100) : null,
+            speed,
+            eta
+        };
+    }
+
+    match = line.match(/^\[postprocess\] (\w+)\|(\w+)/);
+    if (match) {
+        return { phase: 'converting', postprocessor: match[1], status: match[2] };
+    }
+
+    // Fallback for yt-dlp builds that ignore --progress-template
+    match = line.match(/^\[download\]\s+([\d.]+)%/);
+    if (match) {
+        return { phase: 'downloading', percent: Number(match[1]) };
+    }
+
+    if (/^\[(ExtractAudio|Merger|VideoConvertor|FFmpeg\w*)\]/.test(line)) {
+        return { phase: 'converting' };
+    }
+
+    return null;
+}
+
+// --cookies FILE or --cookies-from-browser BROWSER[:PROFILE] (see cookies.js)
+function cookieArgs(options) {
+    if (options.cookies) return ['--cookies', options.cookies];
+    if (options.cookiesFromBrowser) return ['--cookies-from-browser', options.cookiesFromBrowser];
+    return [];
+}
+
+async function ytDlpJson(url, options = {}) {
+    const args = [url, '--dump-single-json'];
+    if (options.flatPlaylist) args.push('--flat-playlist');
+    if (options.noWarnings) args.push('--no-warnings');
+    args.push(...cookieArgs(options));
+
+    const output = await runYtDlp(args, { signal: options.signal });
+    return JSON.parse(output);
+}
+
+// Downloads (and converts) one video; resolves with its info JSON, including the final file paths
+async function ytDlpDownload(url, options = {}) {
+    const args = [url, '--print', INFO_TEMPLATE];
+    if (options.output) args.push('-o', options.output);
+    if (options.format) args.push('-f', options.format);
+    if (options.extractAudio) args.push('-x');
+    if (options.audioFormat) args.push('--audio-format', options.audioFormat);
+    if (options.audioQuality) args.push('--audio-quality', options.audioQuality);
+    if (options.mergeOutputFormat) args.push('--merge-output-format', options.mergeOutputFormat);
+    if (options.writeThumbnail) args.push('--write-thumbnail');
+    if (options.convertThumbnails) args.push('--convert-thumbnails', options.convertThumbnails);
+    if (options.noWarnings) args.push('--no-warnings');
+    args.push(...cookieArgs(options));
+    if (options.client) args.push('--extractor-args', `youtube:player_client=${options.client}`);
+    if (options.limitRate) args.push('--limit-rate', options.limitRate);
+
+    let onLine = null;
+    if (options.onProgress) {
+        // --print implies --quiet, which hides progress unless asked for
+        args.push('--progress', '--newline', '--progress-template', PROGRESS_TEMPLATE, '--progress-template', POSTPROCESS_TEMPLATE);
+        onLine = (line) => {
+            const progress = parseProgressLine(line);
+            if (progress) options.onProgress(progress);
+        };
+    }
+
+    const output = await runYtDlp(args, { signal: options.signal, onLine });
+    const line = output.split('\n').find(l => l.startsWith(INFO_PREFIX));
+    if (!line) throw new Error('yt-dlp did not print the video info (update yt-dlp)');
+    return JSON.parse(line.slice(INFO_PREFIX.length));
+}
+
+// Smallest thumbnail of a flat playlist entry that is still readable in a list
+function pickThumbnail(entry) {
+    const thumbnails = (entry.thumbnails || []).filter(t => t.url);
+    const small = thumbnails.filter(t => t.width >= 120).sort((a, b) => a.width - b.width)[0];
+    return (small || thumbnails[thumbnails.length - 1] || {}).url || entry.thumbnail || null;
+}
+
+module.exports = {
+    runYtDlp,
+    ytDlpJson,
+    ytDlpDownload,
+    parseProgressLine,
+    pickThumbnail
+};